@@ -0,0 +1,145 @@
+/**
+ * API Gateway Authorizer Module
+ *
+ * Trusts the identity established by an API Gateway authorizer (Cognito,
+ * JWT or Lambda authorizer) instead of validating the token again
+ */
+
+import { createBearerErrorResponse } from './bearer-token.mjs';
+import { defaultLogger } from '../logger.mjs';
+
+// Fields API Gateway adds to REST API Lambda authorizer contexts
+const REST_AUTHORIZER_FIELDS = ['integrationLatency'];
+
+function toScopes(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return typeof value === 'string' ? value.split(/[\s,]+/).filter(Boolean) : [];
+}
+
+/**
+ * Read the claims and scopes from `event.requestContext.authorizer`
+ * Supports HTTP API JWT authorizers (`jwt.claims` and `jwt.scopes`), HTTP API
+ * Lambda authorizers (`lambda`), REST API Cognito authorizers (`claims`) and
+ * REST API Lambda authorizers (context fields on the authorizer itself).
+ * @param {Object} event - Lambda event object
+ * @returns {Object|null} Claims and scopes, or null without authorizer context
+ */
+export function getAuthorizerIdentity(event) {
+  const authorizer = event.requestContext?.authorizer;
+  if (!authorizer || typeof authorizer !== 'object') {
+    return null;
+  }
+
+  let claims;
+  let scopes;
+
+  if (authorizer.jwt) {
+    claims = authorizer.jwt.claims || {};
+    scopes = authorizer.jwt.scopes;
+  } else if (authorizer.lambda) {
+    claims = authorizer.lambda;
+  } else if (authorizer.claims) {
+    claims = authorizer.claims;
+  } else {
+    claims = Object.fromEntries(
+      Object.entries(authorizer).filter(
+        ([key]) => !REST_AUTHORIZER_FIELDS.includes(key)
+      )
+    );
+  }
+
+  if (Object.keys(claims).length === 0) {
+    return null;
+  }
+
+  return {
+    claims,
+    scopes: toScopes(scopes ?? claims.scope ?? claims.scp ?? claims.scopes),
+  };
+}
+
+/**
+ * Check a claim against its accepted value(s) or a predicate
+ * Values are compared as strings, as REST API authorizers stringify them.
+ */
+function matchesClaim(actual, expected) {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  if (typeof expected === 'function') {
+    return Boolean(expected(actual));
+  }
+
+  if (expected === true) {
+    return true;
+  }
+
+  const accepted = (Array.isArray(expected) ? expected : [expected]).map(
+    String
+  );
+  const values = Array.isArray(actual) ? actual : [actual];
+  return values.some((value) => accepted.includes(String(value)));
+}
+
+/**
+ * Validates the identity provided by an API Gateway authorizer
+ * @param {Object} event - Lambda event object
+ * @param {Object} config - Authorizer authentication configuration
+ * @param {Object} [logger] - Logger for missing authorizer context
+ * @returns {Promise<Object>} Validation result with isValid flag and error/user data
+ */
+export async function validateAuthorizerContext(
+  event,
+  config = {},
+  logger = defaultLogger
+) {
+  const identity = getAuthorizerIdentity(event);
+  if (!identity) {
+    logger.warn('No API Gateway authorizer context on the request');
+    return {
+      isValid: false,
+      error: createBearerErrorResponse(
+        event,
+        config,
+        401,
+        'unauthorized',
+        'Authorization is required'
+      ),
+    };
+  }
+
+  const { claims, scopes } = identity;
+  for (const [name, expected] of Object.entries(config.requiredClaims || {})) {
+    if (!matchesClaim(claims[name], expected)) {
+      return {
+        isValid: false,
+        error: createBearerErrorResponse(
+          event,
+          config,
+          403,
+          'insufficient_scope',
+          `Required claim not satisfied: ${name}`
+        ),
+      };
+    }
+  }
+
+  const user = config.mapClaims
+    ? await config.mapClaims(claims, event)
+    : { sub: claims.sub ?? claims.principalId, scopes, claims };
+
+  const authHeader =
+    event.headers?.authorization || event.headers?.Authorization;
+  const token = authHeader?.startsWith('Bearer ')
+    ? authHeader.substring(7)
+    : undefined;
+
+  return {
+    isValid: true,
+    user,
+    token,
+  };
+}
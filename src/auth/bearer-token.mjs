@@ -4,7 +4,10 @@
  * Provides Bearer token validation functionality for MCP servers
  */
 
+import { createHash, timingSafeEqual } from 'node:crypto';
 import { withCORS } from '../cors-config.mjs';
+import { defaultLogger } from '../logger.mjs';
+import { createBearerChallenge } from './resource-metadata.mjs';
 
 /**
  * Creates an authentication error response
@@ -14,7 +17,7 @@ import { withCORS } from '../cors-config.mjs';
  * @param {Object} additionalHeaders - Additional headers to include
  * @returns {Object} Lambda response object
  */
-function createAuthErrorResponse(
+export function createAuthErrorResponse(
   statusCode,
   error,
   message,
@@ -36,24 +39,52 @@ function createAuthErrorResponse(
 }
 
 /**
- * Validates Bearer token from the Authorization header
+ * Creates a 401 or 403 response carrying a Bearer challenge
+ * The `unauthorized` error (no credentials sent) is not repeated in the
+ * challenge, as RFC 6750 reserves error codes for rejected credentials.
  * @param {Object} event - Lambda event object
  * @param {Object} config - Authentication configuration
- * @returns {Object} Validation result with isValid flag and error/user data
+ * @param {number} statusCode - HTTP status code
+ * @param {string} error - Error code
+ * @param {string} message - Error message
+ * @returns {Object} Lambda response object
+ */
+export function createBearerErrorResponse(
+  event,
+  config,
+  statusCode,
+  error,
+  message
+) {
+  const challengeError = error === 'unauthorized' ? undefined : error;
+
+  return createAuthErrorResponse(statusCode, error, message, {
+    'WWW-Authenticate': createBearerChallenge(event, config, {
+      error: challengeError,
+      description: challengeError && message,
+    }),
+  });
+}
+
+/**
+ * Extracts the Bearer token from the Authorization header
+ * @param {Object} event - Lambda event object
+ * @param {Object} [config] - Authentication configuration
+ * @returns {Object} The token, or an error response when it is missing
  */
-export function validateBearerToken(event, config = {}) {
+export function extractBearerToken(event, config = {}) {
   const authHeader =
     event.headers?.authorization || event.headers?.Authorization;
 
   // Check if Authorization header exists
   if (!authHeader) {
     return {
-      isValid: false,
-      error: createAuthErrorResponse(
+      error: createBearerErrorResponse(
+        event,
+        config,
         401,
         'unauthorized',
-        'Authorization header is required',
-        { 'WWW-Authenticate': 'Bearer realm="MCP Server"' }
+        'Authorization header is required'
       ),
     };
   }
@@ -61,22 +92,72 @@ export function validateBearerToken(event, config = {}) {
   // Check if it's a Bearer token
   if (!authHeader.startsWith('Bearer ')) {
     return {
-      isValid: false,
-      error: createAuthErrorResponse(
+      error: createBearerErrorResponse(
+        event,
+        config,
         401,
         'unauthorized',
-        'Bearer token is required',
-        { 'WWW-Authenticate': 'Bearer realm="MCP Server"' }
+        'Bearer token is required'
       ),
     };
   }
 
-  const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+  return { token: authHeader.substring(7) }; // Remove 'Bearer ' prefix
+}
+
+/**
+ * Computes the SHA-256 digest of a token as hex, the format of `tokenHashes`
+ * @param {string} token - Token to hash
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Checks a token against plaintext tokens and SHA-256 digests in constant time
+ * Digests of equal length are compared with timingSafeEqual, and every
+ * candidate is checked so the time taken does not reveal which one matched.
+ */
+function matchesToken(token, tokens, tokenHashes) {
+  const digest = createHash('sha256').update(token).digest();
+  const candidates = [
+    ...tokens.map((candidate) =>
+      createHash('sha256').update(candidate).digest()
+    ),
+    ...tokenHashes.map((hash) => Buffer.from(hash.trim().toLowerCase(), 'hex')),
+  ];
+
+  let matched = false;
+  for (const candidate of candidates) {
+    if (candidate.length === digest.length) {
+      matched = timingSafeEqual(candidate, digest) || matched;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Validates Bearer token from the Authorization header
+ * @param {Object} event - Lambda event object
+ * @param {Object} config - Authentication configuration
+ * @param {Object} [logger] - Logger for configuration and validator errors
+ * @returns {Promise<Object>} Validation result with isValid flag and error/user data
+ */
+export async function validateBearerToken(
+  event,
+  config = {},
+  logger = defaultLogger
+) {
+  const { token, error } = extractBearerToken(event, config);
+  if (error) {
+    return { isValid: false, error };
+  }
 
   // Handle custom validation function
   if (config.validate && typeof config.validate === 'function') {
     try {
-      const result = config.validate(token, event);
+      const result = await config.validate(token, event);
       if (result && result.isValid) {
         return {
           isValid: true,
@@ -88,16 +169,17 @@ export function validateBearerToken(event, config = {}) {
           isValid: false,
           error:
             result?.error ||
-            createAuthErrorResponse(
+            createBearerErrorResponse(
+              event,
+              config,
               401,
               'invalid_token',
-              'Invalid or expired token',
-              { 'WWW-Authenticate': 'Bearer realm="MCP Server"' }
+              'Invalid or expired token'
             ),
         };
       }
     } catch (error) {
-      console.error('Error in custom token validation:', error);
+      logger.error('Error in custom token validation', { error });
       return {
         isValid: false,
         error: createAuthErrorResponse(
@@ -111,9 +193,10 @@ export function validateBearerToken(event, config = {}) {
 
   // Handle token list validation
   const validTokens = config.tokens || [];
+  const tokenHashes = config.tokenHashes || [];
 
-  if (validTokens.length === 0) {
-    console.warn('No valid tokens configured for Bearer token authentication.');
+  if (validTokens.length === 0 && tokenHashes.length === 0) {
+    logger.warn('No valid tokens configured for Bearer token authentication');
     return {
       isValid: false,
       error: createAuthErrorResponse(
@@ -124,14 +207,15 @@ export function validateBearerToken(event, config = {}) {
     };
   }
 
-  if (!validTokens.includes(token)) {
+  if (!matchesToken(token, validTokens, tokenHashes)) {
     return {
       isValid: false,
-      error: createAuthErrorResponse(
+      error: createBearerErrorResponse(
+        event,
+        config,
         401,
         'invalid_token',
-        'Invalid or expired token',
-        { 'WWW-Authenticate': 'Bearer realm="MCP Server"' }
+        'Invalid or expired token'
       ),
     };
   }
@@ -157,6 +241,27 @@ export function createBearerTokenConfigFromEnv(envVar = 'VALID_TOKENS') {
   };
 }
 
+/**
+ * Creates a Bearer token authentication configuration from SHA-256 token
+ * digests in an environment variable, so plaintext tokens are not stored in
+ * the function configuration
+ * @param {string} envVar - Environment variable name containing comma-separated hex digests
+ * @returns {Object} Authentication configuration
+ */
+export function createBearerTokenHashConfigFromEnv(
+  envVar = 'VALID_TOKEN_HASHES'
+) {
+  const tokenHashes = (process.env[envVar] || '')
+    .split(',')
+    .map((hash) => hash.trim())
+    .filter(Boolean);
+
+  return {
+    type: 'bearer-token',
+    tokenHashes,
+  };
+}
+
 /**
  * Creates a Bearer token authentication configuration with custom validation
  * @param {Function} validateFn - Custom validation function
@@ -4,9 +4,14 @@
  * Provides authentication functionality for MCP servers
  */
 
+import { createBearerTokenHashConfigFromEnv } from './bearer-token.mjs';
+import { JwksClient } from './jwt.mjs';
+
 export {
   validateBearerToken,
+  hashToken,
   createBearerTokenConfigFromEnv,
+  createBearerTokenHashConfigFromEnv,
   createBearerTokenConfigWithValidation,
 } from './bearer-token.mjs';
 
@@ -15,6 +20,25 @@ export {
   createAuthenticatedHandler,
 } from './middleware.mjs';
 
+export {
+  JwksClient,
+  JwtValidationError,
+  verifyJwt,
+  validateJwt,
+  mapJwtClaims,
+} from './jwt.mjs';
+
+export {
+  getAuthorizerIdentity,
+  validateAuthorizerContext,
+} from './authorizer.mjs';
+
+export {
+  PROTECTED_RESOURCE_METADATA_PATH,
+  createProtectedResourceMetadata,
+  createBearerChallenge,
+} from './resource-metadata.mjs';
+
 /**
  * Authentication configuration presets
  */
@@ -29,6 +53,15 @@ export const AuthPresets = {
     tokens: (process.env[envVar] || '').split(',').filter((t) => t.trim()),
   }),
 
+  /**
+   * Bearer token authentication using SHA-256 token digests from an
+   * environment variable
+   * @param {string} envVar - Environment variable name (default: 'VALID_TOKEN_HASHES')
+   * @returns {Object} Authentication configuration
+   */
+  bearerTokenHashesFromEnv: (envVar = 'VALID_TOKEN_HASHES') =>
+    createBearerTokenHashConfigFromEnv(envVar),
+
   /**
    * Bearer token authentication with token list
    * @param {string[]} tokens - Array of valid tokens
@@ -48,6 +81,42 @@ export const AuthPresets = {
     type: 'bearer-token',
     validate: validateFn,
   }),
+
+  /**
+   * JWT bearer token authentication
+   * A JWKS client is created once here, so fetched keys are cached across
+   * requests.
+   * @param {Object} options - JWT options (key or jwksUri, issuer, audience, ...)
+   * @returns {Object} Authentication configuration
+   */
+  jwt: ({
+    jwksUri,
+    fetchJwks,
+    cacheTtlMs,
+    minRefetchIntervalMs,
+    ...options
+  }) => ({
+    type: 'jwt',
+    ...options,
+    ...(jwksUri && {
+      jwks: new JwksClient({
+        jwksUri,
+        fetchJwks,
+        cacheTtlMs,
+        minRefetchIntervalMs,
+      }),
+    }),
+  }),
+
+  /**
+   * Identity from an API Gateway authorizer (Cognito, JWT or Lambda)
+   * @param {Object} options - Authorizer options (requiredClaims, requiredScopes, mapClaims)
+   * @returns {Object} Authentication configuration
+   */
+  apiGatewayAuthorizer: (options = {}) => ({
+    type: 'api-gateway-authorizer',
+    ...options,
+  }),
 };
 
 /**
@@ -66,6 +135,14 @@ export const Auth = {
   bearerToken: (envVar = 'VALID_TOKENS') =>
     AuthPresets.bearerTokenFromEnv(envVar),
 
+  /**
+   * Bearer token authentication with SHA-256 token digests from environment
+   * variable
+   * @param {string} envVar - Environment variable name
+   */
+  bearerTokenHashes: (envVar = 'VALID_TOKEN_HASHES') =>
+    AuthPresets.bearerTokenHashesFromEnv(envVar),
+
   /**
    * Bearer token authentication with token list
    * @param {string|string[]} tokens - Token or array of tokens
@@ -77,4 +154,16 @@ export const Auth = {
    * @param {Function} validateFn - Validation function
    */
   custom: (validateFn) => AuthPresets.bearerTokenWithValidation(validateFn),
+
+  /**
+   * JWT validation with a static key or JWKS document
+   * @param {Object} options - JWT options (key or jwksUri, issuer, audience, ...)
+   */
+  jwt: (options) => AuthPresets.jwt(options),
+
+  /**
+   * Trust the identity established by an API Gateway authorizer
+   * @param {Object} options - Authorizer options (requiredClaims, requiredScopes, mapClaims)
+   */
+  authorizer: (options) => AuthPresets.apiGatewayAuthorizer(options),
 };
@@ -0,0 +1,433 @@
+/**
+ * JWT Authentication Module
+ *
+ * Verifies JWT bearer tokens signed with HS256, RS256 or ES256 against a
+ * static key or the keys of a JWKS document
+ */
+
+import {
+  KeyObject,
+  createHmac,
+  createPublicKey,
+  createSecretKey,
+  timingSafeEqual,
+  verify,
+} from 'node:crypto';
+import {
+  createAuthErrorResponse,
+  createBearerErrorResponse,
+  extractBearerToken,
+} from './bearer-token.mjs';
+import { defaultLogger } from '../logger.mjs';
+
+/**
+ * Signature algorithms accepted by default
+ */
+export const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+/**
+ * Default time a fetched JWKS document is reused
+ */
+export const DEFAULT_JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Default minimum time between refetches triggered by an unknown key ID
+ */
+export const DEFAULT_JWKS_REFETCH_INTERVAL_MS = 30 * 1000;
+
+/**
+ * A token that is malformed, wrongly signed or whose claims are not accepted
+ */
+export class JwtValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'JwtValidationError';
+  }
+}
+
+/**
+ * Fetch a JWKS document over HTTP
+ */
+async function fetchJwksDocument(jwksUri) {
+  const response = await fetch(jwksUri);
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Convert a key option (shared secret, PEM string, JWK or KeyObject) to a
+ * KeyObject
+ */
+export function toKeyObject(key) {
+  if (key instanceof KeyObject) {
+    return key;
+  }
+
+  if (typeof key === 'string' && key.includes('-----BEGIN')) {
+    return createPublicKey(key);
+  }
+
+  if (typeof key === 'string' || Buffer.isBuffer(key)) {
+    return createSecretKey(Buffer.from(key));
+  }
+
+  if (key?.kty === 'oct') {
+    return createSecretKey(Buffer.from(key.k, 'base64url'));
+  }
+
+  if (key?.kty) {
+    return createPublicKey({ key, format: 'jwk' });
+  }
+
+  throw new Error('Unsupported JWT key');
+}
+
+/**
+ * Fetches and caches the keys of a JWKS document
+ * The document is reused for `cacheTtlMs`. A key ID missing from the cache
+ * triggers a refetch, so rotated keys are picked up without waiting for the
+ * cache to expire; such refetches are limited to one per
+ * `minRefetchIntervalMs`.
+ */
+export class JwksClient {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.jwksUri - URL of the JWKS document
+   * @param {Function} [options.fetchJwks] - Returns the JWKS document for a URL (default: fetch)
+   * @param {number} [options.cacheTtlMs] - Time a fetched document is reused
+   * @param {number} [options.minRefetchIntervalMs] - Minimum time between refetches for unknown key IDs
+   */
+  constructor(options = {}) {
+    if (!options.jwksUri) {
+      throw new Error('jwksUri is required');
+    }
+
+    this.jwksUri = options.jwksUri;
+    this.fetchJwks = options.fetchJwks || fetchJwksDocument;
+    this.cacheTtlMs = options.cacheTtlMs ?? DEFAULT_JWKS_CACHE_TTL_MS;
+    this.minRefetchIntervalMs =
+      options.minRefetchIntervalMs ?? DEFAULT_JWKS_REFETCH_INTERVAL_MS;
+    this.keys = null;
+    this.fetchedAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * Get the signing keys for a token header, refetching the document when it
+   * has expired or does not contain the key ID
+   * @param {Object} header - Decoded JWT header
+   * @returns {Promise<KeyObject[]>} Candidate verification keys
+   */
+  async getKeys(header) {
+    if (!this.keys || Date.now() - this.fetchedAt >= this.cacheTtlMs) {
+      await this.refresh();
+    }
+
+    let keys = this.selectKeys(header);
+    if (
+      keys.length === 0 &&
+      Date.now() - this.fetchedAt >= this.minRefetchIntervalMs
+    ) {
+      await this.refresh();
+      keys = this.selectKeys(header);
+    }
+
+    return keys.map((entry) => entry.key);
+  }
+
+  /**
+   * Fetch the document again, sharing one request between concurrent callers
+   */
+  async refresh() {
+    if (!this.pending) {
+      this.pending = (async () => {
+        try {
+          const document = await this.fetchJwks(this.jwksUri);
+          this.keys = (document?.keys || []).flatMap((jwk) => {
+            try {
+              return [{ jwk, key: toKeyObject(jwk) }];
+            } catch {
+              return []; // Skip keys of unsupported types
+            }
+          });
+          this.fetchedAt = Date.now();
+        } finally {
+          this.pending = null;
+        }
+      })();
+    }
+
+    return this.pending;
+  }
+
+  selectKeys(header) {
+    return (this.keys || []).filter(
+      ({ jwk }) =>
+        (!header.kid || jwk.kid === header.kid) &&
+        (!jwk.alg || jwk.alg === header.alg) &&
+        (!jwk.use || jwk.use === 'sig')
+    );
+  }
+}
+
+function decodeSegment(segment, label) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new JwtValidationError(`Malformed token ${label}`);
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check that a key can be used with an algorithm
+ */
+function isKeyForAlgorithm(key, alg) {
+  switch (alg) {
+    case 'HS256':
+      return key.type === 'secret';
+    case 'RS256':
+      return key.asymmetricKeyType === 'rsa';
+    case 'ES256':
+      return (
+        key.asymmetricKeyType === 'ec' &&
+        key.asymmetricKeyDetails?.namedCurve === 'prime256v1'
+      );
+    default:
+      return false;
+  }
+}
+
+function verifySignature(alg, key, data, signature) {
+  if (alg === 'HS256') {
+    const expected = createHmac('sha256', key).update(data).digest();
+    return (
+      expected.length === signature.length &&
+      timingSafeEqual(expected, signature)
+    );
+  }
+
+  if (alg === 'ES256') {
+    return verify(
+      'sha256',
+      data,
+      { key, dsaEncoding: 'ieee-p1363' },
+      signature
+    );
+  }
+
+  return verify('sha256', data, key, signature);
+}
+
+function toList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Check the registered claims of a verified token
+ */
+function validateClaims(claims, options) {
+  const now = Math.floor(Date.now() / 1000);
+  const tolerance = options.clockTolerance ?? 0;
+
+  if (claims.exp !== undefined) {
+    if (typeof claims.exp !== 'number') {
+      throw new JwtValidationError('Invalid exp claim');
+    }
+    if (now - tolerance >= claims.exp) {
+      throw new JwtValidationError('Token has expired');
+    }
+  }
+
+  if (claims.nbf !== undefined) {
+    if (typeof claims.nbf !== 'number') {
+      throw new JwtValidationError('Invalid nbf claim');
+    }
+    if (now + tolerance < claims.nbf) {
+      throw new JwtValidationError('Token is not yet valid');
+    }
+  }
+
+  const issuers = toList(options.issuer);
+  if (issuers.length > 0 && !issuers.includes(claims.iss)) {
+    throw new JwtValidationError('Unexpected token issuer');
+  }
+
+  const audiences = toList(options.audience);
+  if (
+    audiences.length > 0 &&
+    !toList(claims.aud).some((aud) => audiences.includes(aud))
+  ) {
+    throw new JwtValidationError('Unexpected token audience');
+  }
+}
+
+/**
+ * Verify a JWT and return its claims
+ * @param {string} token - Encoded JWT
+ * @param {Object} options - Verification options
+ * @param {*} [options.key] - Shared secret, PEM public key, JWK or KeyObject
+ * @param {JwksClient} [options.jwks] - Client providing keys from a JWKS document
+ * @param {string[]} [options.algorithms] - Accepted algorithms (default: HS256, RS256, ES256)
+ * @param {string|string[]} [options.issuer] - Accepted `iss` values
+ * @param {string|string[]} [options.audience] - Accepted `aud` values
+ * @param {number} [options.clockTolerance] - Allowed clock skew in seconds for `exp` and `nbf`
+ * @returns {Promise<Object>} Token claims
+ * @throws {JwtValidationError} When the token is not accepted
+ */
+export async function verifyJwt(token, options = {}) {
+  const segments = token.split('.');
+  if (segments.length !== 3) {
+    throw new JwtValidationError('Malformed token');
+  }
+
+  const [encodedHeader, encodedPayload, encodedSignature] = segments;
+  const header = decodeSegment(encodedHeader, 'header');
+  if (!isPlainObject(header) || typeof header.alg !== 'string') {
+    throw new JwtValidationError('Malformed token header');
+  }
+
+  const algorithms = options.algorithms || SUPPORTED_ALGORITHMS;
+
+  if (
+    !SUPPORTED_ALGORITHMS.includes(header.alg) ||
+    !algorithms.includes(header.alg)
+  ) {
+    throw new JwtValidationError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const candidates = options.jwks
+    ? await options.jwks.getKeys(header)
+    : [toKeyObject(options.key)];
+  const keys = candidates.filter((key) => isKeyForAlgorithm(key, header.alg));
+  if (keys.length === 0) {
+    throw new JwtValidationError('No matching key for token');
+  }
+
+  const data = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, 'base64url');
+  if (!keys.some((key) => verifySignature(header.alg, key, data, signature))) {
+    throw new JwtValidationError('Invalid token signature');
+  }
+
+  const claims = decodeSegment(encodedPayload, 'payload');
+  if (!isPlainObject(claims)) {
+    throw new JwtValidationError('Malformed token payload');
+  }
+
+  validateClaims(claims, options);
+  return claims;
+}
+
+/**
+ * Map verified claims to the user attached to the event
+ * Scopes come from the space-separated `scope` claim or the `scp` list.
+ */
+export function mapJwtClaims(claims) {
+  const scopes =
+    typeof claims.scope === 'string'
+      ? claims.scope.split(' ').filter(Boolean)
+      : toList(claims.scp);
+
+  return {
+    sub: claims.sub,
+    scopes,
+    claims,
+  };
+}
+
+// Clients created for configs given a jwksUri without a JwksClient
+const jwksClients = new WeakMap();
+
+function getJwksClient(config) {
+  if (config.jwks) {
+    return config.jwks;
+  }
+
+  if (!config.jwksUri) {
+    return null;
+  }
+
+  if (!jwksClients.has(config)) {
+    jwksClients.set(
+      config,
+      new JwksClient({
+        jwksUri: config.jwksUri,
+        fetchJwks: config.fetchJwks,
+        cacheTtlMs: config.cacheTtlMs,
+        minRefetchIntervalMs: config.minRefetchIntervalMs,
+      })
+    );
+  }
+  return jwksClients.get(config);
+}
+
+/**
+ * Validates a JWT Bearer token from the Authorization header
+ * @param {Object} event - Lambda event object
+ * @param {Object} config - JWT authentication configuration
+ * @param {Object} [logger] - Logger for configuration and key retrieval errors
+ * @returns {Promise<Object>} Validation result with isValid flag and error/user data
+ */
+export async function validateJwt(event, config = {}, logger = defaultLogger) {
+  const { token, error } = extractBearerToken(event, config);
+  if (error) {
+    return { isValid: false, error };
+  }
+
+  const jwks = getJwksClient(config);
+  if (!jwks && !config.key) {
+    logger.warn('No key or JWKS configured for JWT authentication');
+    return {
+      isValid: false,
+      error: createAuthErrorResponse(
+        500,
+        'server_error',
+        'Authentication not configured'
+      ),
+    };
+  }
+
+  try {
+    const claims = await verifyJwt(token, { ...config, jwks });
+    const mapClaims = config.mapClaims || mapJwtClaims;
+
+    return {
+      isValid: true,
+      user: await mapClaims(claims, event),
+      token,
+    };
+  } catch (error) {
+    if (error instanceof JwtValidationError) {
+      logger.debug('JWT rejected', { reason: error.message });
+      return {
+        isValid: false,
+        error: createBearerErrorResponse(
+          event,
+          config,
+          401,
+          'invalid_token',
+          error.message
+        ),
+      };
+    }
+
+    logger.error('Error in JWT validation', { error });
+    return {
+      isValid: false,
+      error: createAuthErrorResponse(
+        500,
+        'server_error',
+        'Authentication validation error'
+      ),
+    };
+  }
+}
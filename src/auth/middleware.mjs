@@ -4,8 +4,19 @@
  * Provides authentication middleware for MCP Lambda handlers
  */
 
-import { validateBearerToken } from './bearer-token.mjs';
+import {
+  createBearerErrorResponse,
+  validateBearerToken,
+} from './bearer-token.mjs';
+import { validateJwt } from './jwt.mjs';
+import { validateAuthorizerContext } from './authorizer.mjs';
 import { CORS_HEADERS, withBasicCORS } from '../cors-config.mjs';
+import { createRequestLogger, defaultLogger } from '../logger.mjs';
+import {
+  createProtectedResourceMetadataResponse,
+  hasResourceMetadata,
+  isProtectedResourceMetadataRequest,
+} from './resource-metadata.mjs';
 
 /**
  * Handles CORS preflight requests
@@ -29,26 +40,52 @@ function handleCORSPreflight(event) {
 /**
  * Creates an authentication middleware function
  * @param {Object} authConfig - Authentication configuration
- * @returns {Function} Middleware function
+ * @param {Object} [options] - Middleware options
+ * @param {Object} [options.logger] - Logger (see createLogger)
+ * @returns {Function} Middleware function taking the Lambda event and context
  */
-export function createAuthMiddleware(authConfig) {
-  return async (event) => {
+export function createAuthMiddleware(authConfig, options = {}) {
+  return async (event, context) => {
+    const logger = createRequestLogger(
+      options.logger || defaultLogger,
+      event,
+      context
+    );
+
     // Handle CORS preflight requests
     const corsResponse = handleCORSPreflight(event);
     if (corsResponse) {
       return corsResponse;
     }
 
+    // Serve protected resource metadata without authentication
+    if (
+      hasResourceMetadata(authConfig) &&
+      isProtectedResourceMetadataRequest(event)
+    ) {
+      return createProtectedResourceMetadataResponse(event, authConfig);
+    }
+
     // Perform authentication based on type
     let authResult;
 
     switch (authConfig.type) {
       case 'bearer-token':
-        authResult = validateBearerToken(event, authConfig);
+        authResult = await validateBearerToken(event, authConfig, logger);
+        break;
+
+      case 'jwt':
+        authResult = await validateJwt(event, authConfig, logger);
+        break;
+
+      case 'api-gateway-authorizer':
+        authResult = await validateAuthorizerContext(event, authConfig, logger);
         break;
 
       default:
-        console.error(`Unsupported authentication type: ${authConfig.type}`);
+        logger.error('Unsupported authentication type', {
+          type: authConfig.type,
+        });
         return {
           statusCode: 500,
           headers: withBasicCORS({ 'Content-Type': 'application/json' }),
@@ -61,15 +98,33 @@ export function createAuthMiddleware(authConfig) {
 
     // Handle authentication failure
     if (!authResult.isValid) {
-      console.log('Authentication failed:', authResult.error.body);
+      logger.warn('Authentication failed', {
+        statusCode: authResult.error.statusCode,
+      });
       return authResult.error;
     }
 
+    // Check the scopes granted to the user
+    const grantedScopes = authResult.user?.scopes || [];
+    const missingScopes = (authConfig.requiredScopes || []).filter(
+      (scope) => !grantedScopes.includes(scope)
+    );
+    if (missingScopes.length > 0) {
+      logger.warn('Insufficient scope', { missingScopes });
+      return createBearerErrorResponse(
+        event,
+        authConfig,
+        403,
+        'insufficient_scope',
+        'Insufficient scope'
+      );
+    }
+
     // Authentication successful - add user context to event
     event.user = authResult.user;
     event.authToken = authResult.token;
 
-    console.log('Authentication successful');
+    logger.debug('Authentication successful');
     return null; // Continue to next middleware/handler
   };
 }
@@ -78,18 +133,21 @@ export function createAuthMiddleware(authConfig) {
  * Creates an authenticated Lambda handler wrapper
  * @param {Function} originalHandler - Original Lambda handler function
  * @param {Object} authConfig - Authentication configuration
+ * @param {Object} [options] - Middleware options
+ * @param {Object} [options.logger] - Logger (see createLogger)
  * @returns {Function} Wrapped handler with authentication
  */
-export function createAuthenticatedHandler(originalHandler, authConfig) {
-  const authMiddleware = createAuthMiddleware(authConfig);
-
-  return async (event) => {
-    console.log('=== MCP Server Request Start (with Authentication) ===');
-    console.log('Event:', JSON.stringify(event, null, 2));
-
+export function createAuthenticatedHandler(
+  originalHandler,
+  authConfig,
+  options = {}
+) {
+  const authMiddleware = createAuthMiddleware(authConfig, options);
+
+  return async (event, context, responseStream) => {
     try {
       // Run authentication middleware
-      const authResponse = await authMiddleware(event);
+      const authResponse = await authMiddleware(event, context);
 
       // If middleware returns a response, it means authentication failed or CORS preflight
       if (authResponse) {
@@ -97,12 +155,13 @@ export function createAuthenticatedHandler(originalHandler, authConfig) {
       }
 
       // Authentication successful, proceed with original handler
-      const response = await originalHandler(event);
-
-      console.log('=== MCP Server Request End ===');
-      return response;
+      return await originalHandler(event, context, responseStream);
     } catch (error) {
-      console.error('Error in authenticated MCP server:', error);
+      createRequestLogger(
+        options.logger || defaultLogger,
+        event,
+        context
+      ).error('Error in authenticated MCP server', { error });
       return {
         statusCode: 500,
         headers: withBasicCORS({ 'Content-Type': 'application/json' }),
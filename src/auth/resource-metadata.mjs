@@ -0,0 +1,170 @@
+/**
+ * Protected Resource Metadata Module
+ *
+ * Publishes OAuth 2.0 Protected Resource Metadata (RFC 9728) and builds the
+ * WWW-Authenticate challenges that point clients to it
+ */
+
+import { withCORS } from '../cors-config.mjs';
+
+/**
+ * Well-known path of the protected resource metadata document
+ */
+export const PROTECTED_RESOURCE_METADATA_PATH =
+  '/.well-known/oauth-protected-resource';
+
+function getHeader(headers = {}, name) {
+  return Object.entries(headers).find(
+    ([key]) => key.toLowerCase() === name
+  )?.[1];
+}
+
+/**
+ * Origin the request was sent to, from the Host and X-Forwarded-Proto headers
+ */
+function getRequestOrigin(event) {
+  const host =
+    getHeader(event.headers, 'host') || event.requestContext?.domainName;
+  if (!host) {
+    return null;
+  }
+
+  const proto = getHeader(event.headers, 'x-forwarded-proto') || 'https';
+  return `${proto}://${host}`;
+}
+
+/**
+ * Path of the resource a request refers to: the suffix of a metadata request
+ * path (`/.well-known/oauth-protected-resource/mcp` refers to `/mcp`), or the
+ * path of any other request, such as the MCP endpoint
+ */
+function getResourcePath(event) {
+  const path = event.rawPath || event.path || '';
+  const index = path.indexOf(PROTECTED_RESOURCE_METADATA_PATH);
+  const resourcePath =
+    index === -1
+      ? path
+      : path.slice(index + PROTECTED_RESOURCE_METADATA_PATH.length);
+
+  return resourcePath.replace(/\/+$/, '');
+}
+
+/**
+ * Resource identifier: the configured `resource`, or the request origin
+ * followed by the resource path
+ */
+export function getResourceIdentifier(event, config = {}) {
+  if (config.resource) {
+    return config.resource;
+  }
+
+  const origin = getRequestOrigin(event);
+  return origin ? `${origin}${getResourcePath(event)}` : null;
+}
+
+/**
+ * Check whether an auth configuration publishes resource metadata
+ */
+export function hasResourceMetadata(config = {}) {
+  return Boolean(
+    config.authorizationServers?.length ||
+      config.resource ||
+      config.resourceMetadataUrl
+  );
+}
+
+/**
+ * URL of the metadata document: the configured `resourceMetadataUrl`, or the
+ * well-known path inserted between the origin and path of the resource
+ * (RFC 9728 section 3.1)
+ */
+export function getResourceMetadataUrl(event, config = {}) {
+  if (config.resourceMetadataUrl) {
+    return config.resourceMetadataUrl;
+  }
+
+  const resource = getResourceIdentifier(event, config);
+  if (!resource) {
+    return null;
+  }
+
+  const url = new URL(resource);
+  const path = url.pathname.replace(/\/+$/, '');
+  return `${url.origin}${PROTECTED_RESOURCE_METADATA_PATH}${path}`;
+}
+
+/**
+ * Build the protected resource metadata document for an auth configuration
+ */
+export function createProtectedResourceMetadata(event, config = {}) {
+  return {
+    resource: getResourceIdentifier(event, config),
+    ...(config.authorizationServers?.length && {
+      authorization_servers: config.authorizationServers,
+    }),
+    ...(config.scopes?.length && { scopes_supported: config.scopes }),
+    bearer_methods_supported: ['header'],
+    ...(config.resourceName && { resource_name: config.resourceName }),
+  };
+}
+
+/**
+ * Check whether a request asks for the metadata document
+ * The path may carry a prefix such as an API Gateway stage.
+ */
+export function isProtectedResourceMetadataRequest(event) {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.rawPath || event.path || '';
+
+  return (
+    method === 'GET' &&
+    (path.endsWith(PROTECTED_RESOURCE_METADATA_PATH) ||
+      path.includes(`${PROTECTED_RESOURCE_METADATA_PATH}/`))
+  );
+}
+
+/**
+ * Creates the response serving the metadata document
+ */
+export function createProtectedResourceMetadataResponse(event, config = {}) {
+  return {
+    statusCode: 200,
+    headers: withCORS({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify(createProtectedResourceMetadata(event, config)),
+  };
+}
+
+function quote(value) {
+  return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Build a Bearer WWW-Authenticate challenge (RFC 6750), referencing the
+ * metadata document when the configuration publishes one
+ * The scope parameter lists the required scopes, or the supported scopes
+ * when none are required.
+ * @param {Object} event - Lambda event object
+ * @param {Object} config - Authentication configuration
+ * @param {Object} [options] - Challenge parameters
+ * @param {string} [options.error] - Error code such as invalid_token
+ * @param {string} [options.description] - Error description
+ * @returns {string} WWW-Authenticate header value
+ */
+export function createBearerChallenge(event, config = {}, options = {}) {
+  const metadataUrl = hasResourceMetadata(config)
+    ? getResourceMetadataUrl(event, config)
+    : null;
+  const scopes = config.requiredScopes?.length
+    ? config.requiredScopes
+    : config.scopes;
+
+  const params = [
+    ['realm', 'MCP Server'],
+    ['resource_metadata', metadataUrl],
+    ['error', options.error],
+    ['error_description', options.description],
+    ['scope', scopes?.length ? scopes.join(' ') : undefined],
+  ].filter(([, value]) => value);
+
+  return `Bearer ${params.map(([name, value]) => `${name}=${quote(value)}`).join(', ')}`;
+}
@@ -0,0 +1,91 @@
+/**
+ * Cancellation Utilities
+ *
+ * Deadlines and abort signals for request handlers
+ */
+
+import { RequestTimeoutError } from './errors.mjs';
+
+/**
+ * Time reserved before the Lambda timeout to send a well-formed error response
+ */
+export const DEFAULT_TIMEOUT_MARGIN_MS = 1000;
+
+/**
+ * Create an abort signal that fires shortly before the Lambda times out
+ * @param {Object} lambdaContext - Lambda context (getRemainingTimeInMillis)
+ * @param {number} marginMs - Safety margin before the Lambda timeout
+ * @returns {Object} The signal and a clear() function releasing the timer
+ */
+export function createDeadline(lambdaContext, marginMs) {
+  const controller = new AbortController();
+
+  if (typeof lambdaContext?.getRemainingTimeInMillis !== 'function') {
+    return { signal: controller.signal, clear: () => {} };
+  }
+
+  const timer = setTimeout(
+    () =>
+      controller.abort(
+        new RequestTimeoutError(
+          'Request timed out: Lambda function is about to time out'
+        )
+      ),
+    Math.max(lambdaContext.getRemainingTimeInMillis() - marginMs, 0)
+  );
+
+  return { signal: controller.signal, clear: () => clearTimeout(timer) };
+}
+
+/**
+ * Create an abort signal that fires when any of the given signals fires
+ * Returns the signal and a dispose() function detaching the listeners
+ */
+export function anySignal(signals) {
+  const controller = new AbortController();
+  const cleanups = [];
+
+  for (const signal of signals.filter(Boolean)) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+
+    const onAbort = () => controller.abort(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    cleanups.push(() => signal.removeEventListener('abort', onAbort));
+  }
+
+  return {
+    signal: controller.signal,
+    dispose: () => cleanups.forEach((cleanup) => cleanup()),
+  };
+}
+
+/**
+ * Settle with the promise, or reject as soon as the signal aborts
+ */
+export function raceSignal(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () =>
+      reject(
+        signal.reason instanceof Error
+          ? signal.reason
+          : new RequestTimeoutError()
+      );
+
+    if (signal.aborted) {
+      onAbort();
+    } else {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    promise
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
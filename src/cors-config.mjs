@@ -11,8 +11,9 @@
 export const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers':
-    'Content-Type, Accept, Authorization, Mcp-Protocol-Version, Mcp-Session-Id',
-  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type, Accept, Authorization, Mcp-Protocol-Version, Mcp-Session-Id, Last-Event-ID',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Expose-Headers': 'Mcp-Session-Id, WWW-Authenticate',
 };
 
 /**
@@ -0,0 +1,115 @@
+/**
+ * MCP Errors
+ *
+ * Error classes carrying a JSON-RPC error code, so that handlers and the
+ * server can choose the code sent to the client explicitly
+ */
+
+/**
+ * JSON-RPC and MCP error codes
+ */
+export const ErrorCode = {
+  ParseError: -32700,
+  InvalidRequest: -32600,
+  MethodNotFound: -32601,
+  InvalidParams: -32602,
+  InternalError: -32603,
+  RequestTimeout: -32001,
+  ResourceNotFound: -32002,
+};
+
+/**
+ * Error sent to the client as a JSON-RPC error with its code and data
+ * Use it directly for custom codes; the subclasses cover the standard ones.
+ */
+export class McpError extends Error {
+  /**
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {*} [data] - Additional information for the client
+   */
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    if (data !== undefined) {
+      this.data = data;
+    }
+  }
+
+  /**
+   * Build the error object of a JSON-RPC response
+   */
+  toJsonRpcError() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...(this.data !== undefined && { data: this.data }),
+    };
+  }
+}
+
+/**
+ * The requested method does not exist or is not enabled
+ */
+export class MethodNotFoundError extends McpError {
+  constructor(method) {
+    super(ErrorCode.MethodNotFound, `Method not found: ${method}`);
+    this.name = 'MethodNotFoundError';
+  }
+}
+
+/**
+ * The request params are missing, malformed or name an unknown entry
+ */
+export class InvalidParamsError extends McpError {
+  constructor(message, data) {
+    super(ErrorCode.InvalidParams, message, data);
+    this.name = 'InvalidParamsError';
+  }
+}
+
+/**
+ * No resource matches the requested URI
+ */
+export class ResourceNotFoundError extends McpError {
+  constructor(uri, message = `Resource not found: ${uri}`) {
+    super(ErrorCode.ResourceNotFound, message, { uri });
+    this.name = 'ResourceNotFoundError';
+  }
+}
+
+/**
+ * The server failed while handling the request
+ */
+export class InternalError extends McpError {
+  constructor(message, data) {
+    super(ErrorCode.InternalError, message, data);
+    this.name = 'InternalError';
+  }
+}
+
+/**
+ * The request ran out of time
+ */
+export class RequestTimeoutError extends McpError {
+  constructor(message = 'Request timed out') {
+    super(ErrorCode.RequestTimeout, message);
+    this.name = 'RequestTimeoutError';
+  }
+}
+
+/**
+ * Convert any thrown value to the error object of a JSON-RPC response
+ * Errors that are not McpErrors become internal errors.
+ */
+export function toJsonRpcError(error) {
+  if (error instanceof McpError) {
+    return error.toJsonRpcError();
+  }
+
+  return {
+    code: ErrorCode.InternalError,
+    message: error?.message || 'Internal error',
+  };
+}
@@ -0,0 +1,129 @@
+/**
+ * Event Stores
+ *
+ * Persistence for Server-Sent Events so that clients can resume a stream
+ * with the Last-Event-ID header. An event store implements:
+ *
+ *   storeEvent(streamId, message) -> ID of the stored event
+ *   replayEventsAfter(lastEventId) -> events of the same stream sent after
+ *                                     lastEventId, as [{ eventId, message }]
+ *
+ * Both methods may return promises.
+ */
+
+/**
+ * Default lifetime of stored events
+ */
+export const DEFAULT_EVENT_TTL_SECONDS = 3600;
+
+/**
+ * Build an event ID from its stream ID and sequence number
+ */
+export function createEventId(streamId, sequence) {
+  return `${streamId}_${sequence}`;
+}
+
+/**
+ * Split an event ID into its stream ID and sequence number
+ * Returns null when the ID was not created by createEventId
+ */
+export function parseEventId(eventId) {
+  const separator = String(eventId).lastIndexOf('_');
+  if (separator <= 0) {
+    return null;
+  }
+
+  const sequence = Number(eventId.slice(separator + 1));
+  if (!Number.isInteger(sequence) || sequence < 0) {
+    return null;
+  }
+
+  return { streamId: eventId.slice(0, separator), sequence };
+}
+
+/**
+ * Event store keeping events in the memory of the Lambda execution environment
+ * Suitable for tests and single-instance deployments only.
+ */
+export class InMemoryEventStore {
+  constructor() {
+    this.streams = new Map();
+  }
+
+  async storeEvent(streamId, message) {
+    const events = this.streams.get(streamId) || [];
+    const eventId = createEventId(streamId, events.length);
+    events.push({ eventId, message: structuredClone(message) });
+    this.streams.set(streamId, events);
+    return eventId;
+  }
+
+  async replayEventsAfter(lastEventId) {
+    const parsed = parseEventId(lastEventId);
+    if (!parsed) {
+      return [];
+    }
+
+    const events = this.streams.get(parsed.streamId) || [];
+    return events.slice(parsed.sequence + 1);
+  }
+}
+
+/**
+ * Event store backed by any key-value client
+ * Uses the same client interface as KeyValueSessionStore: get(key),
+ * set(key, value, { ttlSeconds }) and delete(key). Each stream is kept under
+ * one key and appended to with a read-modify-write cycle.
+ */
+export class KeyValueEventStore {
+  /**
+   * @param {Object} client - Key-value client
+   * @param {Object} [options] - Store options
+   * @param {string} [options.prefix] - Prefix for stream keys
+   * @param {number} [options.ttlSeconds] - Lifetime of stored events
+   */
+  constructor(client, options = {}) {
+    if (
+      !client ||
+      typeof client.get !== 'function' ||
+      typeof client.set !== 'function'
+    ) {
+      throw new Error(
+        'KeyValueEventStore requires a client with get and set methods'
+      );
+    }
+
+    this.client = client;
+    this.prefix = options.prefix ?? 'mcp-events:';
+    this.ttlSeconds = options.ttlSeconds ?? DEFAULT_EVENT_TTL_SECONDS;
+  }
+
+  async readStream(streamId) {
+    const value = await this.client.get(`${this.prefix}${streamId}`);
+    if (value === undefined || value === null) {
+      return [];
+    }
+
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  async storeEvent(streamId, message) {
+    const events = await this.readStream(streamId);
+    const eventId = createEventId(streamId, events.length);
+    events.push({ eventId, message });
+    await this.client.set(`${this.prefix}${streamId}`, JSON.stringify(events), {
+      ttlSeconds: this.ttlSeconds,
+    });
+    return eventId;
+  }
+
+  async replayEventsAfter(lastEventId) {
+    const parsed = parseEventId(lastEventId);
+    if (!parsed) {
+      return [];
+    }
+
+    const events = await this.readStream(parsed.streamId);
+    return events.slice(parsed.sequence + 1);
+  }
+}
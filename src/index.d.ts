@@ -2,6 +2,8 @@
  * TypeScript definitions for @aws-lambda-mcp/adapter
  */
 
+import { KeyObject } from 'crypto';
+import { EventEmitter } from 'events';
 import { z } from 'zod';
 import {
   APIGatewayProxyEvent,
@@ -15,6 +17,31 @@ export interface MCPServerConfig {
   version: string;
   description?: string;
   protocolVersion?: string;
+  /** Protocol versions accepted during negotiation, newest first */
+  supportedProtocolVersions?: string[];
+  /** Maximum number of items per list page (all items when unset) */
+  pageSize?: number;
+  /** Key used to sign pagination cursors (defaults to MCP_CURSOR_SECRET; one is required with pageSize) */
+  cursorSecret?: string;
+  /**
+   * How argument validation errors are reported (default: 'text'). With
+   * 'structured', they are invalid-params errors listing each issue in
+   * `data.issues`, including for tools/call.
+   */
+  validationErrors?: 'text' | 'structured';
+  /** Advertise the logging capability and accept logging/setLevel */
+  logging?: boolean;
+  /** Custom capabilities advertised under `experimental` */
+  experimental?: Record<string, Record<string, unknown>>;
+}
+
+export interface ServerCapabilities {
+  tools?: { listChanged?: boolean };
+  resources?: { listChanged?: boolean; subscribe?: boolean };
+  prompts?: { listChanged?: boolean };
+  completions?: Record<string, never>;
+  logging?: Record<string, never>;
+  experimental?: Record<string, Record<string, unknown>>;
 }
 
 // JSON-RPC Types
@@ -28,21 +55,70 @@ export interface JsonRpcRequest {
 export interface JsonRpcResponse {
   jsonrpc: string;
   result?: unknown;
-  error?: {
-    code: number;
-    message: string;
-    data?: unknown;
-  };
+  error?: JsonRpcError;
   id?: string | number | null;
 }
 
+export interface JsonRpcError {
+  code: number;
+  message: string;
+  data?: unknown;
+}
+
+// Errors
+export interface ValidationIssue {
+  path: Array<string | number>;
+  code: string;
+  expected?: unknown;
+  received?: unknown;
+  message: string;
+}
+
+export declare const ErrorCode: {
+  readonly ParseError: -32700;
+  readonly InvalidRequest: -32600;
+  readonly MethodNotFound: -32601;
+  readonly InvalidParams: -32602;
+  readonly InternalError: -32603;
+  readonly RequestTimeout: -32001;
+  readonly ResourceNotFound: -32002;
+};
+
+export declare class McpError extends Error {
+  constructor(code: number, message: string, data?: unknown);
+  readonly code: number;
+  readonly data?: unknown;
+  toJsonRpcError(): JsonRpcError;
+}
+
+export declare class MethodNotFoundError extends McpError {
+  constructor(method: string);
+}
+
+export declare class InvalidParamsError extends McpError {
+  constructor(message: string, data?: unknown);
+}
+
+export declare class ResourceNotFoundError extends McpError {
+  constructor(uri: string, message?: string);
+}
+
+export declare class InternalError extends McpError {
+  constructor(message: string, data?: unknown);
+}
+
+export declare class RequestTimeoutError extends McpError {
+  constructor(message?: string);
+}
+
 export interface MCPToolResult {
-  content: Array<{
+  content?: Array<{
     type: 'text' | 'image' | 'resource';
     text?: string;
     data?: string;
     mimeType?: string;
   }>;
+  structuredContent?: Record<string, unknown>;
   isError?: boolean;
 }
 
@@ -80,33 +156,447 @@ export interface AuthValidationResult {
   error?: APIGatewayProxyResult;
 }
 
-export interface BearerTokenAuthConfig {
+/** OAuth 2.0 Protected Resource Metadata (RFC 9728) settings */
+export interface ProtectedResourceOptions {
+  /** Resource identifier (default: origin of the request) */
+  resource?: string;
+  /** Metadata URL sent in WWW-Authenticate (default: well-known path at the resource origin) */
+  resourceMetadataUrl?: string;
+  resourceName?: string;
+  /** Issuer URLs of the authorization servers */
+  authorizationServers?: string[];
+  /** Scopes published as scopes_supported */
+  scopes?: string[];
+  /** Scopes the user must hold; missing scopes are answered with 403 */
+  requiredScopes?: string[];
+}
+
+export interface ProtectedResourceMetadata {
+  resource: string;
+  authorization_servers?: string[];
+  scopes_supported?: string[];
+  bearer_methods_supported: string[];
+  resource_name?: string;
+}
+
+export interface BearerTokenAuthConfig extends ProtectedResourceOptions {
   type: 'bearer-token';
   tokens?: string[];
+  /** Hex-encoded SHA-256 digests of valid tokens */
+  tokenHashes?: string[];
   validate?: (
     token: string,
     event: APIGatewayProxyEvent
   ) => AuthValidationResult | Promise<AuthValidationResult>;
 }
 
-export type AuthConfig = BearerTokenAuthConfig;
+export interface JwtHeader {
+  alg: string;
+  kid?: string;
+  [key: string]: unknown;
+}
+
+export interface JwtClaims {
+  iss?: string;
+  sub?: string;
+  aud?: string | string[];
+  exp?: number;
+  nbf?: number;
+  iat?: number;
+  scope?: string;
+  scp?: string[];
+  [key: string]: unknown;
+}
+
+export interface JwksDocument {
+  keys: Array<Record<string, unknown>>;
+}
+
+/** Provides verification keys for a token header (see JwksClient) */
+export interface JwksKeyProvider {
+  getKeys(header: JwtHeader): Promise<KeyObject[]>;
+}
+
+export type JwtAlgorithm = 'HS256' | 'RS256' | 'ES256';
+
+export interface JwtAuthConfig extends ProtectedResourceOptions {
+  type: 'jwt';
+  /** Shared secret, PEM public key, JWK or KeyObject */
+  key?: string | Buffer | KeyObject | Record<string, unknown>;
+  /** Key provider, created by Auth.jwt from jwksUri */
+  jwks?: JwksKeyProvider;
+  jwksUri?: string;
+  fetchJwks?: (jwksUri: string) => Promise<JwksDocument>;
+  /** Time a fetched JWKS document is reused (default: 10 minutes) */
+  cacheTtlMs?: number;
+  /** Minimum time between refetches for unknown key IDs (default: 30 seconds) */
+  minRefetchIntervalMs?: number;
+  algorithms?: JwtAlgorithm[];
+  issuer?: string | string[];
+  audience?: string | string[];
+  /** Allowed clock skew in seconds for exp and nbf */
+  clockTolerance?: number;
+  /** Map verified claims to the user (default: { sub, scopes, claims }) */
+  mapClaims?: (
+    claims: JwtClaims,
+    event: APIGatewayProxyEvent
+  ) => AuthUser | Promise<AuthUser>;
+}
+
+/** Accepted claim value(s), `true` for any value, or a predicate */
+export type ClaimRequirement =
+  | string
+  | number
+  | boolean
+  | Array<string | number | boolean>
+  | ((value: unknown) => boolean);
+
+export interface AuthorizerAuthConfig extends ProtectedResourceOptions {
+  type: 'api-gateway-authorizer';
+  /** Claims of the authorizer context that must match */
+  requiredClaims?: Record<string, ClaimRequirement>;
+  /** Map authorizer claims to the user (default: { sub, scopes, claims }) */
+  mapClaims?: (
+    claims: Record<string, unknown>,
+    event: APIGatewayProxyEvent
+  ) => AuthUser | Promise<AuthUser>;
+}
+
+export type AuthConfig =
+  | BearerTokenAuthConfig
+  | JwtAuthConfig
+  | AuthorizerAuthConfig;
+
+// Session Types
+export interface Session {
+  id: string;
+  protocolVersion: string;
+  clientCapabilities: Record<string, unknown>;
+  clientInfo?: { name: string; version: string };
+  createdAt: string;
+  expiresAt?: number;
+  /** Level set with logging/setLevel */
+  logLevel?: string;
+  /** Resource URIs the client subscribed to */
+  subscriptions?: string[];
+}
+
+export interface SessionStore {
+  get(sessionId: string): Session | undefined | Promise<Session | undefined>;
+  set(sessionId: string, session: Session): void | Promise<void>;
+  delete(sessionId: string): void | Promise<void>;
+  list(): string[] | Promise<string[]>;
+  enqueue(sessionId: string, message: JsonRpcRequest): void | Promise<void>;
+  drain(sessionId: string): JsonRpcRequest[] | Promise<JsonRpcRequest[]>;
+}
+
+export interface KeyValueClient {
+  get(key: string): unknown | Promise<unknown>;
+  set(
+    key: string,
+    value: string,
+    options: { ttlSeconds: number }
+  ): void | Promise<void>;
+  delete(key: string): void | Promise<void>;
+}
+
+export interface SessionOptions {
+  store?: SessionStore;
+  /** Seconds without requests after which in-memory sessions expire */
+  ttlSeconds?: number;
+}
+
+export declare class InMemorySessionStore implements SessionStore {
+  constructor(options?: { ttlSeconds?: number });
+  get(sessionId: string): Promise<Session | undefined>;
+  set(sessionId: string, session: Session): Promise<void>;
+  delete(sessionId: string): Promise<void>;
+  list(): Promise<string[]>;
+  enqueue(sessionId: string, message: JsonRpcRequest): Promise<void>;
+  drain(sessionId: string): Promise<JsonRpcRequest[]>;
+}
+
+export declare class KeyValueSessionStore implements SessionStore {
+  constructor(
+    client: KeyValueClient,
+    options?: { prefix?: string; ttlSeconds?: number }
+  );
+  get(sessionId: string): Promise<Session | undefined>;
+  set(sessionId: string, session: Session): Promise<void>;
+  delete(sessionId: string): Promise<void>;
+  list(): Promise<string[]>;
+  enqueue(sessionId: string, message: JsonRpcRequest): Promise<void>;
+  drain(sessionId: string): Promise<JsonRpcRequest[]>;
+}
+
+export declare class SessionManager {
+  constructor(options?: SessionOptions);
+  readonly store: SessionStore;
+  static from(
+    option: boolean | SessionOptions | SessionManager | undefined
+  ): SessionManager | null;
+  createSessionId(): string;
+  create(
+    sessionId: string,
+    init: {
+      protocolVersion: string;
+      clientCapabilities?: Record<string, unknown>;
+      clientInfo?: { name: string; version: string };
+    }
+  ): Promise<Session>;
+  get(sessionId: string): Promise<Session | undefined>;
+  update(
+    sessionId: string,
+    changes: Partial<Session> | ((session: Session) => Partial<Session>)
+  ): Promise<Session | undefined>;
+  touch(sessionId: string): Promise<Session | undefined>;
+  delete(sessionId: string): Promise<void>;
+  enqueue(sessionId: string, message: JsonRpcRequest): Promise<void>;
+  drain(sessionId: string): Promise<JsonRpcRequest[]>;
+  broadcast(
+    message: JsonRpcRequest,
+    filter?: (session: Session) => boolean
+  ): Promise<void>;
+  notifyResourceUpdated(uri: string): Promise<void>;
+}
+
+export interface StoredEvent {
+  eventId: string;
+  message: unknown;
+}
+
+export interface EventStore {
+  storeEvent(streamId: string, message: unknown): string | Promise<string>;
+  replayEventsAfter(
+    lastEventId: string
+  ): StoredEvent[] | Promise<StoredEvent[]>;
+}
+
+export declare class InMemoryEventStore implements EventStore {
+  constructor();
+  storeEvent(streamId: string, message: unknown): Promise<string>;
+  replayEventsAfter(lastEventId: string): Promise<StoredEvent[]>;
+}
+
+export declare class KeyValueEventStore implements EventStore {
+  constructor(
+    client: KeyValueClient,
+    options?: { prefix?: string; ttlSeconds?: number }
+  );
+  storeEvent(streamId: string, message: unknown): Promise<string>;
+  replayEventsAfter(lastEventId: string): Promise<StoredEvent[]>;
+}
+
+// Logging
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+export interface LogEntry {
+  level: Exclude<LogLevel, 'silent'>;
+  time: string;
+  message: string;
+  requestId?: string;
+  correlationId?: string;
+  [field: string]: unknown;
+}
+
+export interface LoggerOptions {
+  /** Minimum level written (default: MCP_LOG_LEVEL or 'info') */
+  level?: LogLevel;
+  /** Header names to redact (default: DEFAULT_REDACTED_HEADERS) */
+  redactHeaders?: string[];
+  /** Field names to redact at any depth (default: DEFAULT_REDACTED_FIELDS) */
+  redactFields?: string[];
+  /** Receives each entry (default: one JSON line on stdout) */
+  write?: (entry: LogEntry) => void;
+  /** Fields added to every entry */
+  bindings?: Record<string, unknown>;
+}
+
+export interface LoggerLike {
+  debug(message: string, fields?: Record<string, unknown>): void;
+  info(message: string, fields?: Record<string, unknown>): void;
+  warn(message: string, fields?: Record<string, unknown>): void;
+  error(message: string, fields?: Record<string, unknown>): void;
+}
+
+export declare class Logger implements LoggerLike {
+  constructor(options?: LoggerOptions);
+  readonly level: LogLevel;
+  child(bindings: Record<string, unknown>): Logger;
+  isLevelEnabled(level: LogLevel): boolean;
+  log(level: LogLevel, message: string, fields?: Record<string, unknown>): void;
+  debug(message: string, fields?: Record<string, unknown>): void;
+  info(message: string, fields?: Record<string, unknown>): void;
+  warn(message: string, fields?: Record<string, unknown>): void;
+  error(message: string, fields?: Record<string, unknown>): void;
+}
+
+export declare const DEFAULT_REDACTED_HEADERS: string[];
+export declare const DEFAULT_REDACTED_FIELDS: string[];
+export declare function createLogger(
+  option?: Logger | LoggerOptions | LoggerLike | false
+): Logger;
+export declare function redactHeaders(
+  headers: Record<string, unknown>,
+  names?: string[]
+): Record<string, unknown>;
+export declare function redactFields<T>(value: T, names?: string[]): T;
+
+export interface SSEOptions {
+  /** Interval of heartbeat comments on idle streams (default: 15000) */
+  heartbeatIntervalMs?: number;
+  /** Interval at which the session queue is polled (default: 1000) */
+  pollIntervalMs?: number;
+  /** Maximum lifetime of a GET stream (default: 60000) */
+  maxDurationMs?: number;
+}
 
 export interface LambdaHandlerOptions {
   auth?: AuthConfig;
+  /** Enable stateful mode with Mcp-Session-Id */
+  sessions?: boolean | SessionOptions | SessionManager;
+  /** GET event stream settings (stateful mode) */
+  sse?: SSEOptions;
+  /** Logger, logger options, custom logger, or false for silent mode */
+  logger?: Logger | LoggerOptions | LoggerLike | false;
+  /** Persist SSE events so clients can resume streams with Last-Event-ID */
+  eventStore?: EventStore;
+  /** Wrap the handler with awslambda.streamifyResponse */
+  streaming?: boolean;
+  /** Time reserved before the Lambda timeout to answer with a timeout error (default: 1000) */
+  timeoutMarginMs?: number;
 }
 
 // Schema Types
 export type ZodSchema = Record<string, z.ZodType>;
 export type ToolHandler<T = Record<string, unknown>> = (
-  args: T
+  args: T,
+  context: RequestContext
 ) => Promise<MCPToolResult>;
-export type ResourceHandler = (uri: string) => Promise<MCPResourceResult>;
+export type ResourceHandler = (
+  uri: string,
+  context: RequestContext
+) => Promise<MCPResourceResult>;
+export type ResourceTemplateHandler = (
+  uri: string,
+  variables: Record<string, unknown>,
+  context: RequestContext
+) => Promise<MCPResourceResult>;
 export type PromptHandler<T = Record<string, unknown>> = (
-  args: T
+  args: T,
+  context: RequestContext
 ) => Promise<MCPPromptResult>;
 
+// URI Templates
+export declare class UriTemplate {
+  constructor(template: string);
+  readonly template: string;
+  readonly variableNames: string[];
+  static isTemplate(value: string): boolean;
+  expand(variables?: Record<string, unknown>): string;
+  match(uri: string): Record<string, string> | null;
+}
+
+// Completion Types
+export interface CompletionContext {
+  /** Arguments the client has already resolved */
+  arguments: Record<string, string>;
+}
+
+export type CompletionProvider = (
+  value: string,
+  context: CompletionContext
+) => string[] | Promise<string[]>;
+
+export interface ResourceTemplateOptions {
+  variables?: ZodSchema;
+  mimeType?: string;
+  complete?: Record<string, CompletionProvider>;
+}
+
+// Tool Options
+export interface ToolAnnotations {
+  title?: string;
+  readOnlyHint?: boolean;
+  destructiveHint?: boolean;
+  idempotentHint?: boolean;
+  openWorldHint?: boolean;
+}
+
+export interface ToolOptions {
+  title?: string;
+  description?: string;
+  annotations?: ToolAnnotations;
+  /** Zod schema the handler's structuredContent is validated against */
+  outputSchema?: ZodSchema;
+  /** Maximum run time of the handler in milliseconds */
+  timeout?: number;
+  _meta?: Record<string, unknown>;
+}
+
+export interface RequestContext {
+  /** Negotiated MCP protocol version */
+  protocolVersion?: string;
+  /** JSON-RPC id of the request */
+  requestId?: string | number | null;
+  /** JSON-RPC method */
+  method?: string;
+  /** `_meta` from the request params */
+  _meta?: Record<string, unknown>;
+  /** User attached by the authentication middleware */
+  user?: AuthUser;
+  /** HTTP request headers */
+  headers?: Record<string, string | undefined>;
+  /** Raw API Gateway event */
+  event?: APIGatewayProxyEvent;
+  /** Lambda context */
+  lambdaContext?: Context;
+  /** Current session in stateful mode */
+  session?: Session;
+  /** Whether the Lambda handler runs in stateful mode */
+  sessionMode?: boolean;
+  /** Queue a message for the session's GET event stream (stateful mode) */
+  enqueueMessage?: (message: JsonRpcRequest) => Promise<void>;
+  /**
+   * Merge changes into the stored session (stateful mode). Pass a function to
+   * compute the changes from the current session.
+   */
+  updateSession?: (
+    changes: Partial<Session> | ((session: Session) => Partial<Session>)
+  ) => Promise<Session | undefined>;
+  /** Logger bound to the request and correlation IDs */
+  logger?: Logger;
+  /** Fires when the request deadline or the tool timeout is reached */
+  signal?: AbortSignal;
+  /**
+   * Report progress to the client. A no-op unless the request carried
+   * `_meta.progressToken` and the client accepts text/event-stream.
+   */
+  reportProgress: (
+    progress: number,
+    total?: number,
+    message?: string
+  ) => Promise<void>;
+}
+
+export interface PromptOptions {
+  complete?: Record<string, CompletionProvider>;
+}
+
+export declare class ResourceTemplate {
+  constructor(uriTemplate: string, options?: ResourceTemplateOptions);
+  readonly uriTemplate: UriTemplate;
+  match(uri: string): Record<string, unknown> | null;
+}
+
 // Core Classes
-export declare class MCPServer {
+export type ListType = 'tools' | 'resources' | 'prompts';
+
+export interface ListChangedEvent {
+  type: ListType;
+}
+
+export declare class MCPServer extends EventEmitter {
   constructor(config: MCPServerConfig);
 
   tool<T extends ZodSchema>(
@@ -114,19 +604,91 @@ export declare class MCPServer {
     inputSchema: T,
     handler: ToolHandler<z.infer<z.ZodObject<T>>>
   ): MCPServer;
+  tool<T extends ZodSchema>(
+    name: string,
+    inputSchema: T,
+    options: ToolOptions,
+    handler: ToolHandler<z.infer<z.ZodObject<T>>>
+  ): MCPServer;
 
   resource(name: string, uri: string, handler: ResourceHandler): MCPServer;
+  resource(
+    name: string,
+    template: ResourceTemplate,
+    handler: ResourceTemplateHandler
+  ): MCPServer;
 
   prompt<T extends ZodSchema>(
     name: string,
     inputSchema: T,
     handler: PromptHandler<z.infer<z.ZodObject<T>>>
   ): MCPServer;
+  prompt<T extends ZodSchema>(
+    name: string,
+    inputSchema: T,
+    options: PromptOptions,
+    handler: PromptHandler<z.infer<z.ZodObject<T>>>
+  ): MCPServer;
+
+  removeTool(name: string): boolean;
+  removeResource(name: string): boolean;
+  removePrompt(name: string): boolean;
+  enableTool(name: string, enabled?: boolean): MCPServer;
+  disableTool(name: string): MCPServer;
+  enableResource(name: string, enabled?: boolean): MCPServer;
+  disableResource(name: string): MCPServer;
+  enablePrompt(name: string, enabled?: boolean): MCPServer;
+  disablePrompt(name: string): MCPServer;
+  notifyListChanged(type: ListType): void;
+  notifyResourceUpdated(uri: string): void;
+  on(event: 'listChanged', listener: (event: ListChangedEvent) => void): this;
+  on(
+    event: 'resourceUpdated',
+    listener: (event: { uri: string }) => void
+  ): this;
+
+  onNotification(
+    method: string,
+    handler: (
+      params: Record<string, unknown>,
+      context: Partial<RequestContext>
+    ) => void | Promise<void>
+  ): MCPServer;
+  on(
+    event: 'clientResponse',
+    listener: (
+      response: JsonRpcResponse,
+      context: Partial<RequestContext>
+    ) => void
+  ): this;
 
-  handleRequest(request: JsonRpcRequest): Promise<JsonRpcResponse | null>;
+  onSessionClose(hook: (session: Session) => void | Promise<void>): MCPServer;
+  closeSession(
+    session: Session,
+    context?: Partial<RequestContext>
+  ): Promise<void>;
+  supportsProtocolVersion(protocolVersion: string): boolean;
+  getCapabilities(
+    protocolVersion: string,
+    options?: { sessionMode?: boolean }
+  ): ServerCapabilities;
+  /** Resolves to null for notifications (messages without an id) */
+  handleRequest(
+    request: JsonRpcRequest,
+    context?: Partial<RequestContext>
+  ): Promise<JsonRpcResponse | null>;
+  handleNotification(
+    notification: JsonRpcRequest,
+    context?: Partial<RequestContext>
+  ): Promise<void>;
+  handleClientResponse(
+    response: JsonRpcResponse,
+    context?: Partial<RequestContext>
+  ): void;
   getStats(): {
     tools: number;
     resources: number;
+    resourceTemplates: number;
     prompts: number;
     config: MCPServerConfig;
   };
@@ -143,6 +705,19 @@ export declare function createLambdaHandler(
   context: Context
 ) => Promise<APIGatewayProxyResult>;
 
+// Protocol Versions
+export interface ProtocolFeatures {
+  batching: boolean;
+  toolAnnotations: boolean;
+  completions: boolean;
+}
+
+export declare const LATEST_PROTOCOL_VERSION: string;
+export declare const SUPPORTED_PROTOCOL_VERSIONS: string[];
+export declare function getProtocolFeatures(
+  protocolVersion: string
+): ProtocolFeatures;
+
 // Common Schemas
 export declare const CommonSchemas: {
   string: z.ZodString;
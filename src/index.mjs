@@ -12,6 +12,36 @@ import { MCPServer } from './mcp-server.mjs';
 export { MCPServer } from './mcp-server.mjs';
 export { createLambdaHandler } from './lambda-adapter.mjs';
 export { CommonSchemas } from './common-schemas.mjs';
+export { ResourceTemplate } from './resource-template.mjs';
+export { UriTemplate } from './uri-template.mjs';
+export { SessionManager } from './session-manager.mjs';
+export {
+  InMemorySessionStore,
+  KeyValueSessionStore,
+} from './session-store.mjs';
+export { InMemoryEventStore, KeyValueEventStore } from './event-store.mjs';
+export {
+  ErrorCode,
+  McpError,
+  MethodNotFoundError,
+  InvalidParamsError,
+  ResourceNotFoundError,
+  InternalError,
+  RequestTimeoutError,
+} from './errors.mjs';
+export {
+  Logger,
+  createLogger,
+  redactHeaders,
+  redactFields,
+  DEFAULT_REDACTED_HEADERS,
+  DEFAULT_REDACTED_FIELDS,
+} from './logger.mjs';
+export {
+  LATEST_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  getProtocolFeatures,
+} from './protocol.mjs';
 
 // Convenience function
 export function createMCPServer(config) {
@@ -4,7 +4,39 @@
  * Handles Lambda integration and HTTP request/response processing
  */
 
+import { randomUUID } from 'node:crypto';
 import { CORS_HEADERS, withBasicCORS } from './cors-config.mjs';
+import {
+  DEFAULT_TIMEOUT_MARGIN_MS,
+  createDeadline,
+  raceSignal,
+} from './cancellation.mjs';
+import {
+  DEFAULT_SSE_OPTIONS,
+  SSE_HEADERS,
+  SSEWriter,
+  isResponseStreamingAvailable,
+  openResponseStream,
+  writeResponse,
+} from './streaming.mjs';
+import { SessionManager } from './session-manager.mjs';
+import { toJsonRpcError } from './errors.mjs';
+import { createLogger, createRequestLogger, defaultLogger } from './logger.mjs';
+import { parseEventId } from './event-store.mjs';
+import {
+  DEFAULT_NEGOTIATED_PROTOCOL_VERSION,
+  getProtocolFeatures,
+} from './protocol.mjs';
+
+/**
+ * Read a request header regardless of its casing
+ */
+export function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(
+    (k) => k.toLowerCase() === name.toLowerCase()
+  );
+  return key === undefined ? undefined : headers[key];
+}
 
 /**
  * Create HTTP response
@@ -41,11 +73,374 @@ export function createErrorResponse(
   );
 }
 
+/**
+ * Validate the envelope of a single JSON-RPC message
+ * Returns a JSON-RPC error object, or null when the message is well-formed
+ */
+function validateJsonRpcMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return { code: -32600, message: 'Invalid Request: expected an object' };
+  }
+
+  if (!message.jsonrpc || message.jsonrpc !== '2.0') {
+    return { code: -32600, message: 'Invalid Request: missing jsonrpc field' };
+  }
+
+  if (typeof message.method !== 'string') {
+    return { code: -32600, message: 'Invalid Request: missing method field' };
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a message is a JSON-RPC response sent by the client
+ */
+function isJsonRpcResponse(message) {
+  return (
+    !!message &&
+    typeof message === 'object' &&
+    !Array.isArray(message) &&
+    message.method === undefined &&
+    'id' in message &&
+    ('result' in message || 'error' in message)
+  );
+}
+
+/**
+ * Handle a single element of a JSON-RPC batch
+ * Returns the response object, or null when no response is due (notifications)
+ */
+async function handleBatchElement(mcpServer, message, context) {
+  if (isJsonRpcResponse(message)) {
+    mcpServer.handleClientResponse(message, context);
+    return null;
+  }
+
+  const id = message?.id ?? null;
+
+  // Only well-formed requests without an id are notifications; every
+  // malformed element gets its own error entry
+  const validationError = validateJsonRpcMessage(message);
+  if (validationError) {
+    return { jsonrpc: '2.0', error: validationError, id };
+  }
+
+  const isNotification = !('id' in message);
+
+  context.logger.debug('MCP request', {
+    rpcId: message.id,
+    method: message.method,
+    params: message.params,
+  });
+
+  try {
+    const result = await raceSignal(
+      mcpServer.handleRequest(message, context),
+      context.signal
+    );
+
+    if (result === null || isNotification) {
+      return null;
+    }
+
+    return { jsonrpc: '2.0', result, id };
+  } catch (error) {
+    context.logger.error('MCP request error', {
+      rpcId: id,
+      method: message.method,
+      error,
+    });
+
+    return isNotification
+      ? null
+      : { jsonrpc: '2.0', error: toJsonRpcError(error), id };
+  }
+}
+
+/**
+ * Handle a JSON-RPC batch request
+ */
+async function handleBatchRequest(mcpServer, messages, corsHeaders, context) {
+  if (messages.length === 0) {
+    return createErrorResponse(
+      400,
+      -32600,
+      'Invalid Request: empty batch',
+      corsHeaders
+    );
+  }
+
+  const responses = (
+    await Promise.all(
+      messages.map((message) => handleBatchElement(mcpServer, message, context))
+    )
+  ).filter(Boolean);
+
+  // A batch made up only of notifications gets no response body
+  if (responses.length === 0) {
+    return createResponse('', 202, corsHeaders);
+  }
+
+  return createResponse(responses, 200, corsHeaders);
+}
+
+/**
+ * Look up the session named by the Mcp-Session-Id header
+ * Returns the session, or an error response when the header is missing or
+ * the session is unknown. Using a session renews its expiry.
+ */
+async function resolveSession(sessions, headers, corsHeaders, id = null) {
+  const sessionId = getHeader(headers, 'mcp-session-id');
+  if (!sessionId) {
+    return {
+      error: createErrorResponse(
+        400,
+        -32000,
+        'Bad Request: Mcp-Session-Id header is required',
+        corsHeaders,
+        id
+      ),
+    };
+  }
+
+  const session = await sessions.touch(sessionId);
+  if (!session) {
+    return {
+      error: createErrorResponse(
+        404,
+        -32001,
+        'Session not found',
+        corsHeaders,
+        id
+      ),
+    };
+  }
+
+  return { session };
+}
+
+/**
+ * Handle DELETE: terminate the session named by the Mcp-Session-Id header
+ * Later requests using the session ID get 404.
+ */
+export async function handleSessionDelete(
+  mcpServer,
+  sessions,
+  headers,
+  corsHeaders,
+  context = {}
+) {
+  const { session, error } = await resolveSession(
+    sessions,
+    headers,
+    corsHeaders
+  );
+  if (error) {
+    return error;
+  }
+
+  await sessions.delete(session.id);
+  await mcpServer.closeSession(session, context);
+
+  return createResponse('', 200, corsHeaders);
+}
+
+/**
+ * Check whether an event stream belongs to a session
+ * The GET stream of a session uses the session ID as its stream ID, and the
+ * streams of its POST requests are prefixed with it.
+ */
+function isSessionStream(streamId, sessionId) {
+  return streamId === sessionId || streamId.startsWith(`${sessionId}/`);
+}
+
+/**
+ * Handle GET: open an event stream delivering the messages queued for a session
+ * With response streaming, the queue is polled until the stream reaches its
+ * maximum duration or the Lambda deadline; otherwise the messages queued so far
+ * are returned in a single buffered response. With an event store, the events
+ * sent after the Last-Event-ID header are replayed first.
+ */
+export async function handleSessionStream(
+  sessions,
+  headers,
+  corsHeaders,
+  { lambdaContext, responseStream } = {},
+  options = {}
+) {
+  const accept = getHeader(headers, 'accept') || '';
+  if (!accept.includes('text/event-stream')) {
+    return createErrorResponse(
+      406,
+      -32000,
+      'Not Acceptable: Client must accept text/event-stream',
+      corsHeaders
+    );
+  }
+
+  let session = null;
+  if (sessions) {
+    const resolved = await resolveSession(sessions, headers, corsHeaders);
+    if (resolved.error) {
+      return resolved.error;
+    }
+    session = resolved.session;
+  }
+
+  const eventStore = options.eventStore || null;
+  const lastEventId = getHeader(headers, 'last-event-id');
+  let missedEvents = [];
+  if (eventStore && lastEventId) {
+    const parsed = parseEventId(lastEventId);
+    if (!parsed || (session && !isSessionStream(parsed.streamId, session.id))) {
+      return createErrorResponse(
+        400,
+        -32000,
+        'Bad Request: Invalid Last-Event-ID',
+        corsHeaders
+      );
+    }
+    missedEvents = await eventStore.replayEventsAfter(lastEventId);
+  }
+
+  const responseHeaders = { ...corsHeaders, ...SSE_HEADERS };
+  const writerOptions = { eventStore, streamId: session?.id };
+
+  if (!responseStream) {
+    const writer = new SSEWriter(null, writerOptions);
+    missedEvents.forEach((event) => writer.replay(event));
+    if (session) {
+      for (const message of await sessions.drain(session.id)) {
+        await writer.send(message);
+      }
+    }
+    return createResponse(writer.body, 200, responseHeaders);
+  }
+
+  const writer = new SSEWriter(
+    openResponseStream(responseStream, 200, responseHeaders),
+    writerOptions
+  );
+  missedEvents.forEach((event) => writer.replay(event));
+
+  // Without a session there is nothing left to deliver after the replay
+  if (!session) {
+    writer.end();
+    return null;
+  }
+
+  const { heartbeatIntervalMs, pollIntervalMs, maxDurationMs } = {
+    ...DEFAULT_SSE_OPTIONS,
+    ...options.sse,
+  };
+  const remainingMs =
+    typeof lambdaContext?.getRemainingTimeInMillis === 'function'
+      ? lambdaContext.getRemainingTimeInMillis() -
+        (options.timeoutMarginMs ?? DEFAULT_TIMEOUT_MARGIN_MS)
+      : Infinity;
+  const endAt = Date.now() + Math.min(maxDurationMs, remainingMs);
+  let lastWriteAt = Date.now();
+
+  while (Date.now() < endAt) {
+    // Stop once the session has been terminated or has expired
+    if (!(await sessions.get(session.id))) {
+      break;
+    }
+
+    const messages = await sessions.drain(session.id);
+    for (const message of messages) {
+      await writer.send(message);
+    }
+
+    if (messages.length > 0) {
+      lastWriteAt = Date.now();
+    } else if (Date.now() - lastWriteAt >= heartbeatIntervalMs) {
+      writer.comment('heartbeat');
+      lastWriteAt = Date.now();
+    }
+
+    await new Promise((resolve) =>
+      setTimeout(
+        resolve,
+        Math.max(Math.min(pollIntervalMs, endAt - Date.now()), 0)
+      )
+    );
+  }
+
+  writer.end();
+  return null;
+}
+
+/**
+ * Handle a request whose response goes out as a text/event-stream
+ * Notifications sent while the request runs (such as progress) are delivered
+ * as events ahead of the final response.
+ */
+async function handleStreamedRequest(
+  mcpServer,
+  message,
+  corsHeaders,
+  context,
+  eventStore
+) {
+  const headers = { ...corsHeaders, ...SSE_HEADERS };
+  const streamId = context.session
+    ? `${context.session.id}/${randomUUID()}`
+    : randomUUID();
+  const writer = new SSEWriter(
+    context.responseStream
+      ? openResponseStream(context.responseStream, 200, headers)
+      : null,
+    { eventStore, streamId }
+  );
+
+  let response;
+  try {
+    const result = await raceSignal(
+      mcpServer.handleRequest(message, {
+        ...context,
+        sendNotification: (notification) => writer.send(notification),
+      }),
+      context.signal
+    );
+    response = { jsonrpc: '2.0', result, id: message.id };
+  } catch (error) {
+    context.logger.error('MCP request error', {
+      rpcId: message.id,
+      method: message.method,
+      error,
+    });
+    response = { jsonrpc: '2.0', error: toJsonRpcError(error), id: message.id };
+  }
+
+  await writer.send(response);
+
+  if (writer.isStreaming) {
+    writer.end();
+    return null;
+  }
+
+  return createResponse(writer.body, 200, headers);
+}
+
 /**
  * Handle MCP request processing
+ * The request context (Lambda event and context, authenticated user) is
+ * forwarded to MCPServer.handleRequest along with the negotiated protocol version.
+ * When a session manager is given, initialize opens a session and every later
+ * request must name it with the Mcp-Session-Id header. With an event store,
+ * streamed responses are persisted so they can be resumed with Last-Event-ID.
  */
-export async function handleMCPRequest(mcpServer, body, headers, corsHeaders) {
-  const contentType = headers['content-type'] || headers['Content-Type'] || '';
+export async function handleMCPRequest(
+  mcpServer,
+  body,
+  headers,
+  corsHeaders,
+  requestContext = {},
+  { sessions = null, eventStore = null } = {}
+) {
+  const contentType = getHeader(headers, 'content-type') || '';
   if (!contentType.includes('application/json')) {
     return createErrorResponse(
       400,
@@ -67,31 +462,129 @@ export async function handleMCPRequest(mcpServer, body, headers, corsHeaders) {
     );
   }
 
-  if (!jsonRpcMessage.jsonrpc || jsonRpcMessage.jsonrpc !== '2.0') {
+  const isInitialize =
+    !Array.isArray(jsonRpcMessage) && jsonRpcMessage?.method === 'initialize';
+
+  let session;
+  if (sessions && !isInitialize) {
+    const resolved = await resolveSession(
+      sessions,
+      headers,
+      corsHeaders,
+      jsonRpcMessage?.id
+    );
+    if (resolved.error) {
+      return resolved.error;
+    }
+    session = resolved.session;
+  }
+
+  // Requests after initialization carry the negotiated protocol version
+  const requestedVersion = getHeader(headers, 'mcp-protocol-version');
+  const protocolVersion =
+    requestedVersion ||
+    session?.protocolVersion ||
+    DEFAULT_NEGOTIATED_PROTOCOL_VERSION;
+  const context = {
+    ...requestContext,
+    logger: requestContext.logger || defaultLogger,
+    protocolVersion,
+    session,
+    sessionMode: Boolean(sessions),
+    ...(session && {
+      enqueueMessage: (message) => sessions.enqueue(session.id, message),
+      updateSession: (changes) => sessions.update(session.id, changes),
+    }),
+  };
+
+  if (
+    requestedVersion &&
+    !isInitialize &&
+    !mcpServer.supportsProtocolVersion(requestedVersion)
+  ) {
     return createErrorResponse(
       400,
       -32600,
-      'Invalid Request: missing jsonrpc field',
+      `Bad Request: Unsupported protocol version: ${requestedVersion}`,
       corsHeaders,
-      jsonRpcMessage.id
+      jsonRpcMessage?.id
     );
   }
 
-  if (!jsonRpcMessage.method) {
+  if (Array.isArray(jsonRpcMessage)) {
+    if (!getProtocolFeatures(protocolVersion).batching) {
+      return createErrorResponse(
+        400,
+        -32600,
+        `Invalid Request: batching is not supported in protocol version ${protocolVersion}`,
+        corsHeaders
+      );
+    }
+
+    return handleBatchRequest(mcpServer, jsonRpcMessage, corsHeaders, context);
+  }
+
+  // Responses and notifications from the client are accepted without a body
+  if (isJsonRpcResponse(jsonRpcMessage)) {
+    mcpServer.handleClientResponse(jsonRpcMessage, context);
+    return createResponse('', 202, corsHeaders);
+  }
+
+  const validationError = validateJsonRpcMessage(jsonRpcMessage);
+  if (validationError) {
     return createErrorResponse(
       400,
-      -32600,
-      'Invalid Request: missing method field',
+      validationError.code,
+      validationError.message,
+      corsHeaders,
+      jsonRpcMessage?.id
+    );
+  }
+
+  // Argument fields such as passwords or tokens are redacted by the logger
+  context.logger.debug('MCP request', {
+    rpcId: jsonRpcMessage.id,
+    method: jsonRpcMessage.method,
+    params: jsonRpcMessage.params,
+  });
+
+  if (!('id' in jsonRpcMessage)) {
+    await mcpServer.handleRequest(jsonRpcMessage, context);
+    return createResponse('', 202, corsHeaders);
+  }
+
+  // Requests that ask for progress are answered with an event stream
+  const acceptsEventStream = (getHeader(headers, 'accept') || '').includes(
+    'text/event-stream'
+  );
+  if (
+    jsonRpcMessage.params?._meta?.progressToken !== undefined &&
+    acceptsEventStream
+  ) {
+    return handleStreamedRequest(
+      mcpServer,
+      jsonRpcMessage,
       corsHeaders,
-      jsonRpcMessage.id
+      context,
+      eventStore
     );
   }
 
   try {
-    const result = await mcpServer.handleRequest(jsonRpcMessage);
+    const result = await raceSignal(
+      mcpServer.handleRequest(jsonRpcMessage, context),
+      context.signal
+    );
 
-    if (result === null) {
-      return createResponse('', 204, corsHeaders);
+    let responseHeaders = corsHeaders;
+    if (sessions && isInitialize) {
+      const sessionId = sessions.createSessionId();
+      await sessions.create(sessionId, {
+        protocolVersion: result.protocolVersion,
+        clientCapabilities: jsonRpcMessage.params?.capabilities,
+        clientInfo: jsonRpcMessage.params?.clientInfo,
+      });
+      responseHeaders = { ...corsHeaders, 'Mcp-Session-Id': sessionId };
     }
 
     return createResponse(
@@ -101,61 +594,131 @@ export async function handleMCPRequest(mcpServer, body, headers, corsHeaders) {
         id: jsonRpcMessage.id,
       },
       200,
-      corsHeaders
+      responseHeaders
     );
   } catch (error) {
-    console.error('MCP request error:', error);
-
-    let errorCode = -32603; // Internal error
-    let errorMessage = error.message;
-
-    if (error.message.includes('Method not found')) {
-      errorCode = -32601;
-    } else if (
-      error.message.includes('not found') ||
-      error.message.includes('required')
-    ) {
-      errorCode = -32602; // Invalid params
-    }
+    context.logger.error('MCP request error', {
+      rpcId: jsonRpcMessage.id,
+      method: jsonRpcMessage.method,
+      error,
+    });
 
-    return createErrorResponse(
-      500,
-      errorCode,
-      errorMessage,
-      corsHeaders,
-      jsonRpcMessage.id
+    // JSON-RPC errors are regular responses at the HTTP level
+    return createResponse(
+      { jsonrpc: '2.0', error: toJsonRpcError(error), id: jsonRpcMessage.id },
+      200,
+      corsHeaders
     );
   }
 }
 
 /**
  * AWS Lambda Adapter for MCP Server
+ * With `streaming: true` the handler is wrapped with awslambda.streamifyResponse
+ * so event-stream responses reach the client while the request runs.
+ * Handlers get an abort signal that fires `timeoutMarginMs` before the Lambda
+ * times out; unfinished requests are then answered with a timeout error.
  */
 export function createLambdaHandler(mcpServer, options = {}) {
-  const baseHandler = async (event) => {
+  const sessions = SessionManager.from(options.sessions);
+  const logger = createLogger(options.logger);
+  const pendingNotifications = new Set();
+
+  // Track notifications queued by server events until they are stored
+  const track = (promise) => {
+    const pending = promise
+      .catch((error) => logger.error('Session notification error', { error }))
+      .finally(() => pendingNotifications.delete(pending));
+    pendingNotifications.add(pending);
+  };
+
+  // Forward server events to sessions; they are delivered over GET streams
+  if (sessions) {
+    mcpServer.on('listChanged', ({ type }) =>
+      track(
+        sessions.broadcast({
+          jsonrpc: '2.0',
+          method: `notifications/${type}/list_changed`,
+        })
+      )
+    );
+    mcpServer.on('resourceUpdated', ({ uri }) =>
+      track(sessions.notifyResourceUpdated(uri))
+    );
+  }
+
+  const baseHandler = async (event, context, responseStream) => {
+    const requestLogger = createRequestLogger(logger, event, context);
+
     try {
       const method = event.httpMethod || event.requestContext?.http?.method;
       const headers = event.headers || {};
+      requestLogger.debug('Request received', {
+        httpMethod: method,
+        path: event.path || event.rawPath,
+        headers,
+      });
 
       if (method === 'OPTIONS') {
         return createResponse('', 200, CORS_HEADERS);
       }
 
       if (method === 'POST') {
-        return await handleMCPRequest(
-          mcpServer,
-          event.body,
-          headers,
-          CORS_HEADERS
+        const deadline = createDeadline(
+          context,
+          options.timeoutMarginMs ?? DEFAULT_TIMEOUT_MARGIN_MS
         );
+
+        try {
+          return await handleMCPRequest(
+            mcpServer,
+            event.body,
+            headers,
+            CORS_HEADERS,
+            {
+              event,
+              lambdaContext: context,
+              headers,
+              user: event.user,
+              responseStream,
+              signal: deadline.signal,
+              logger: requestLogger,
+            },
+            { sessions, eventStore: options.eventStore }
+          );
+        } finally {
+          deadline.clear();
+        }
       }
 
       if (method === 'GET') {
-        return createErrorResponse(
-          405,
-          -32000,
-          'Method not allowed: Stateless mode',
-          CORS_HEADERS
+        const resumable =
+          options.eventStore && getHeader(headers, 'last-event-id');
+        if (!sessions && !resumable) {
+          return createErrorResponse(
+            405,
+            -32000,
+            'Method not allowed: Stateless mode',
+            CORS_HEADERS
+          );
+        }
+
+        return await handleSessionStream(
+          sessions,
+          headers,
+          CORS_HEADERS,
+          { lambdaContext: context, responseStream },
+          options
+        );
+      }
+
+      if (method === 'DELETE' && sessions) {
+        return await handleSessionDelete(
+          mcpServer,
+          sessions,
+          headers,
+          CORS_HEADERS,
+          { logger: requestLogger }
         );
       }
 
@@ -166,30 +729,39 @@ export function createLambdaHandler(mcpServer, options = {}) {
         CORS_HEADERS
       );
     } catch (error) {
-      console.error('Lambda error:', error);
+      requestLogger.error('Lambda error', { error });
       return createErrorResponse(
         500,
         -32603,
         'Internal server error',
         withBasicCORS({ 'Content-Type': 'application/json' })
       );
+    } finally {
+      // Lambda may freeze the environment once the response is returned
+      await Promise.all(pendingNotifications);
     }
   };
 
+  let handler = baseHandler;
+
   // If authentication is configured, wrap with authentication middleware
   if (options.auth) {
-    return async (event, context) => {
+    handler = async (event, context, responseStream) => {
       try {
         const { createAuthenticatedHandler } = await import(
           './auth/middleware.mjs'
         );
         const authenticatedHandler = createAuthenticatedHandler(
           baseHandler,
-          options.auth
+          options.auth,
+          { logger }
         );
-        return await authenticatedHandler(event, context);
+        return await authenticatedHandler(event, context, responseStream);
       } catch (error) {
-        console.error('Authentication module error:', error);
+        createRequestLogger(logger, event, context).error(
+          'Authentication module error',
+          { error }
+        );
         return {
           statusCode: 500,
           headers: withBasicCORS({ 'Content-Type': 'application/json' }),
@@ -202,5 +774,23 @@ export function createLambdaHandler(mcpServer, options = {}) {
     };
   }
 
-  return baseHandler;
+  if (options.streaming) {
+    if (!isResponseStreamingAvailable()) {
+      logger.warn(
+        'Lambda response streaming is not available; event streams will be buffered'
+      );
+      return handler;
+    }
+
+    return globalThis.awslambda.streamifyResponse(
+      async (event, responseStream, context) => {
+        const response = await handler(event, context, responseStream);
+        if (response) {
+          writeResponse(responseStream, response);
+        }
+      }
+    );
+  }
+
+  return handler;
 }
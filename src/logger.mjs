@@ -0,0 +1,257 @@
+/**
+ * Logger
+ *
+ * Structured JSON-line logging with request correlation and redaction of
+ * credentials in headers and argument fields
+ */
+
+/**
+ * Log levels in increasing order of severity
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+/**
+ * Headers redacted by default
+ */
+export const DEFAULT_REDACTED_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+];
+
+/**
+ * Object fields redacted by default, wherever they appear in logged values
+ */
+export const DEFAULT_REDACTED_FIELDS = [
+  'password',
+  'secret',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'apiKey',
+  'authorization',
+];
+
+/**
+ * Placeholder written instead of redacted values
+ */
+export const REDACTED = '[REDACTED]';
+
+/**
+ * Replace the values of the given headers, matching names case-insensitively
+ */
+export function redactHeaders(headers, names = DEFAULT_REDACTED_HEADERS) {
+  if (!headers || typeof headers !== 'object') {
+    return headers;
+  }
+
+  const redacted = new Set(names.map((name) => name.toLowerCase()));
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      redacted.has(name.toLowerCase()) ? REDACTED : value,
+    ])
+  );
+}
+
+/**
+ * Replace the values of the given fields at any depth of a value
+ * Field names match case-insensitively; the value itself is not modified.
+ */
+export function redactFields(value, names = DEFAULT_REDACTED_FIELDS) {
+  const redacted = new Set(names.map((name) => name.toLowerCase()));
+
+  const visit = (current, seen) => {
+    if (!current || typeof current !== 'object') {
+      return current;
+    }
+
+    if (seen.has(current)) {
+      return '[Circular]';
+    }
+    seen.add(current);
+
+    if (Array.isArray(current)) {
+      return current.map((item) => visit(item, seen));
+    }
+
+    return Object.fromEntries(
+      Object.entries(current).map(([key, item]) => [
+        key,
+        redacted.has(key.toLowerCase()) ? REDACTED : visit(item, seen),
+      ])
+    );
+  };
+
+  return visit(value, new WeakSet());
+}
+
+/**
+ * Convert an error to plain fields for a log entry
+ */
+export function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return { message: String(error) };
+  }
+
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack,
+  };
+}
+
+/**
+ * Write a log entry to stdout as one JSON line
+ */
+function writeJsonLine(entry) {
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Structured logger writing one JSON object per entry
+ * Fields bound with child() (such as request and correlation IDs) are added
+ * to every entry. A `headers` field is redacted by header name, and all
+ * fields are redacted by field name before the entry is written.
+ */
+export class Logger {
+  /**
+   * @param {Object} [options] - Logger options
+   * @param {string} [options.level] - Minimum level written (default: MCP_LOG_LEVEL or 'info')
+   * @param {string[]} [options.redactHeaders] - Header names to redact
+   * @param {string[]} [options.redactFields] - Field names to redact
+   * @param {Function} [options.write] - Receives each entry (default: JSON line on stdout)
+   * @param {Object} [options.bindings] - Fields added to every entry
+   */
+  constructor(options = {}) {
+    const level = options.level || process.env.MCP_LOG_LEVEL || 'info';
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+
+    this.level = level;
+    this.redactHeaders = options.redactHeaders || DEFAULT_REDACTED_HEADERS;
+    this.redactFields = options.redactFields || DEFAULT_REDACTED_FIELDS;
+    this.write = options.write || writeJsonLine;
+    this.bindings = options.bindings || {};
+  }
+
+  /**
+   * Create a logger adding the given fields to every entry
+   */
+  child(bindings) {
+    return new Logger({
+      level: this.level,
+      redactHeaders: this.redactHeaders,
+      redactFields: this.redactFields,
+      write: this.write,
+      bindings: { ...this.bindings, ...bindings },
+    });
+  }
+
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const { error, headers, ...rest } = fields;
+    this.write({
+      level,
+      time: new Date().toISOString(),
+      message,
+      ...redactFields(
+        {
+          ...this.bindings,
+          ...rest,
+          ...(headers && {
+            headers: redactHeaders(headers, this.redactHeaders),
+          }),
+        },
+        this.redactFields
+      ),
+      ...(error !== undefined && { error: serializeError(error) }),
+    });
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+/**
+ * Logger used when none is configured
+ */
+export const defaultLogger = new Logger();
+
+/**
+ * Build a logger from the `logger` option of createLambdaHandler
+ * Accepts a Logger, `false` for silent mode, Logger options, or an object
+ * with debug/info/warn/error(message, fields) methods (such as console),
+ * which receives redacted entries.
+ */
+export function createLogger(option) {
+  if (option instanceof Logger) {
+    return option;
+  }
+
+  if (option === false) {
+    return new Logger({ level: 'silent' });
+  }
+
+  if (option && typeof option.info === 'function') {
+    return new Logger({
+      level: 'debug',
+      write: ({ level, message, ...entry }) => option[level](message, entry),
+    });
+  }
+
+  return option ? new Logger(option) : defaultLogger;
+}
+
+/**
+ * Create the logger for one Lambda invocation
+ * Binds the Lambda request ID and a correlation ID taken from the
+ * X-Correlation-Id or X-Request-Id header, or the API Gateway request ID.
+ */
+export function createRequestLogger(logger, event = {}, lambdaContext = {}) {
+  const headers = event.headers || {};
+  const header = (name) =>
+    Object.entries(headers).find(([key]) => key.toLowerCase() === name)?.[1];
+
+  const requestId = lambdaContext?.awsRequestId;
+  const correlationId =
+    header('x-correlation-id') ||
+    header('x-request-id') ||
+    event.requestContext?.requestId ||
+    requestId;
+
+  return logger.child({
+    ...(requestId && { requestId }),
+    ...(correlationId && { correlationId }),
+  });
+}
@@ -4,89 +4,275 @@
  * Handles MCP protocol logic and tool/resource/prompt management
  */
 
+import { EventEmitter } from 'node:events';
 import {
   zodToJsonSchema,
   validateWithZod,
   isZodOptional,
+  getZodEnumValues,
+  formatZodIssues,
+  describeZodIssues,
 } from './schema-utils.mjs';
+import { paginate, resolveCursorSecret } from './pagination.mjs';
+import { defaultLogger } from './logger.mjs';
+import { ResourceTemplate } from './resource-template.mjs';
+import { anySignal, raceSignal } from './cancellation.mjs';
+import {
+  InternalError,
+  ErrorCode,
+  InvalidParamsError,
+  McpError,
+  MethodNotFoundError,
+  RequestTimeoutError,
+  ResourceNotFoundError,
+} from './errors.mjs';
+import {
+  LATEST_PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  getProtocolFeatures,
+  negotiateProtocolVersion,
+} from './protocol.mjs';
+
+/**
+ * Maximum number of values in a completion/complete response
+ */
+const MAX_COMPLETION_VALUES = 100;
+
+/**
+ * Log levels accepted by logging/setLevel (RFC 5424 severities)
+ */
+const LOGGING_LEVELS = [
+  'debug',
+  'info',
+  'notice',
+  'warning',
+  'error',
+  'critical',
+  'alert',
+  'emergency',
+];
+
+/**
+ * Names of the primitives used in error messages
+ */
+const PRIMITIVE_LABELS = {
+  tools: 'Tool',
+  resources: 'Resource',
+  prompts: 'Prompt',
+};
+
+/**
+ * Look up a registered entry, ignoring disabled ones
+ */
+function getEnabled(entries, name) {
+  const entry = entries.get(name);
+  return entry?.enabled ? entry : undefined;
+}
+
+/**
+ * List the enabled entries of a registry
+ */
+function listEnabled(entries) {
+  return Array.from(entries.values()).filter((entry) => entry.enabled);
+}
+
+/**
+ * Validate a tool result against the tool's output schema
+ * Adds a text content block carrying the structured content for older clients
+ */
+function withStructuredContent(toolName, outputSchema, result) {
+  if (result?.isError) {
+    return result;
+  }
+
+  if (
+    !result?.structuredContent ||
+    typeof result.structuredContent !== 'object'
+  ) {
+    throw new InternalError(
+      `Output validation error: tool ${toolName} has an output schema but returned no structuredContent`
+    );
+  }
+
+  let structuredContent;
+  try {
+    structuredContent = validateWithZod(outputSchema, result.structuredContent);
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      throw new InternalError(
+        `Output validation error: ${formatZodIssues(error)}`
+      );
+    }
+    throw error;
+  }
+
+  return {
+    ...result,
+    content: result.content || [
+      { type: 'text', text: JSON.stringify(structuredContent) },
+    ],
+    structuredContent,
+  };
+}
+
+/**
+ * Create the reportProgress function handed to request handlers
+ * It is a no-op unless the client sent a progress token and the transport
+ * can deliver notifications while the request runs.
+ */
+function createProgressReporter(progressToken, sendNotification) {
+  return async (progress, total, message) => {
+    if (progressToken === undefined || !sendNotification) {
+      return;
+    }
+
+    await sendNotification({
+      jsonrpc: '2.0',
+      method: 'notifications/progress',
+      params: {
+        progressToken,
+        progress,
+        ...(total !== undefined && { total }),
+        ...(message !== undefined && { message }),
+      },
+    });
+  };
+}
 
 /**
  * Main MCP Server class with Zod-based type safety
+ * Emits `listChanged` with `{ type }` ('tools', 'resources' or 'prompts')
+ * whenever an entry is registered, removed, enabled or disabled.
  */
-export class MCPServer {
+export class MCPServer extends EventEmitter {
   constructor(config) {
+    super();
+
     this.config = {
       name: config.name || 'MCP Server',
       version: config.version || '1.0.0',
       description: config.description || 'MCP Server powered by AWS Lambda',
-      protocolVersion: config.protocolVersion || '2025-03-26',
+      protocolVersion: config.protocolVersion || LATEST_PROTOCOL_VERSION,
       ...config,
     };
 
+    const supportedProtocolVersions =
+      config.supportedProtocolVersions || SUPPORTED_PROTOCOL_VERSIONS;
+    this.config.supportedProtocolVersions = supportedProtocolVersions.includes(
+      this.config.protocolVersion
+    )
+      ? supportedProtocolVersions
+      : [this.config.protocolVersion, ...supportedProtocolVersions];
+
     this.tools = new Map();
     this.resources = new Map();
+    this.resourceTemplates = new Map();
     this.prompts = new Map();
+    this.sessionCloseHooks = [];
+    this.notificationHandlers = new Map();
+
+    this.cursorSecret = resolveCursorSecret(this.config);
   }
 
   /**
    * Register a tool with Zod schema validation
+   * Options may include `title`, `description`, `annotations`, `_meta`,
+   * `outputSchema`, a Zod schema the handler's structuredContent must satisfy,
+   * and `timeout`, the maximum run time of the handler in milliseconds
    */
-  tool(name, inputSchema, handler) {
+  tool(name, inputSchema, options, handler) {
+    if (typeof options === 'function') {
+      handler = options;
+      options = {};
+    }
+
     const jsonSchema = zodToJsonSchema(inputSchema);
+    const { outputSchema } = options;
 
-    const validatedHandler = async (args) => {
+    const validatedHandler = async (args, context) => {
+      let result;
       try {
         const validatedArgs = validateWithZod(inputSchema, args);
-        return await handler(validatedArgs);
+        result = await handler(validatedArgs, context);
       } catch (error) {
         if (error.name === 'ZodError') {
-          throw new Error(
-            `Validation error: ${error.errors.map((e) => `${e.path.join('.')}: ${e.message}`).join(', ')}`
-          );
+          throw this.createValidationError(error);
         }
         throw error;
       }
+
+      return outputSchema
+        ? withStructuredContent(name, outputSchema, result)
+        : result;
     };
 
     this.tools.set(name, {
       name,
-      description: handler.description || `Tool: ${name}`,
+      title: options.title,
+      description:
+        options.description || handler.description || `Tool: ${name}`,
       inputSchema: jsonSchema,
+      outputSchema: outputSchema && zodToJsonSchema(outputSchema),
+      annotations: options.annotations,
+      _meta: options._meta,
+      timeout: options.timeout,
       handler: validatedHandler,
+      enabled: true,
     });
+    this.notifyListChanged('tools');
 
     return this;
   }
 
   /**
    * Register a resource
+   * Pass a ResourceTemplate instead of a URI to register a resource template
    */
   resource(name, uri, handler) {
+    if (uri instanceof ResourceTemplate) {
+      this.resourceTemplates.set(name, {
+        name,
+        template: uri,
+        description: handler.description || `Resource template: ${name}`,
+        handler,
+        enabled: true,
+      });
+      this.notifyListChanged('resources');
+
+      return this;
+    }
+
     this.resources.set(name, {
       name,
       uri,
       description: handler.description || `Resource: ${name}`,
       handler,
+      enabled: true,
     });
+    this.notifyListChanged('resources');
 
     return this;
   }
 
   /**
    * Register a prompt with Zod schema validation
+   * Options may include `complete`, a map of argument names to completion providers
    */
-  prompt(name, inputSchema, handler) {
+  prompt(name, inputSchema, options, handler) {
+    if (typeof options === 'function') {
+      handler = options;
+      options = {};
+    }
+
     zodToJsonSchema(inputSchema);
 
-    const validatedHandler = async (args) => {
+    const validatedHandler = async (args, context) => {
       try {
         const validatedArgs = validateWithZod(inputSchema, args);
-        return await handler(validatedArgs);
+        return await handler(validatedArgs, context);
       } catch (error) {
         if (error.name === 'ZodError') {
-          throw new Error(
-            `Validation error: ${error.errors.map((e) => `${e.path.join('.')}: ${e.message}`).join(', ')}`
-          );
+          throw this.createValidationError(error);
         }
         throw error;
       }
@@ -100,49 +286,286 @@ export class MCPServer {
         description: schema.description || `${key} parameter`,
         required: !isZodOptional(schema),
       })),
+      inputSchema,
+      complete: options.complete || {},
       handler: validatedHandler,
+      enabled: true,
     });
+    this.notifyListChanged('prompts');
+
+    return this;
+  }
+
+  /**
+   * Build the invalid-params error for arguments that failed validation
+   * With `validationErrors: 'structured'`, each Zod issue is sent in `data.issues`
+   */
+  createValidationError(error) {
+    return new InvalidParamsError(
+      `Validation error: ${formatZodIssues(error)}`,
+      this.config.validationErrors === 'structured'
+        ? { issues: describeZodIssues(error) }
+        : undefined
+    );
+  }
+
+  /**
+   * Remove a tool
+   * Returns whether a tool was registered under that name
+   */
+  removeTool(name) {
+    return this.removeEntry('tools', [this.tools], name);
+  }
+
+  /**
+   * Remove a resource or resource template
+   * Returns whether a resource was registered under that name
+   */
+  removeResource(name) {
+    return this.removeEntry(
+      'resources',
+      [this.resources, this.resourceTemplates],
+      name
+    );
+  }
+
+  /**
+   * Remove a prompt
+   * Returns whether a prompt was registered under that name
+   */
+  removePrompt(name) {
+    return this.removeEntry('prompts', [this.prompts], name);
+  }
+
+  /**
+   * Enable or disable a tool
+   * Disabled tools are left out of tools/list and cannot be called
+   */
+  enableTool(name, enabled = true) {
+    return this.setEntryEnabled('tools', [this.tools], name, enabled);
+  }
+
+  disableTool(name) {
+    return this.enableTool(name, false);
+  }
+
+  /**
+   * Enable or disable a resource or resource template
+   * Disabled resources are left out of the resource lists and cannot be read
+   */
+  enableResource(name, enabled = true) {
+    return this.setEntryEnabled(
+      'resources',
+      [this.resources, this.resourceTemplates],
+      name,
+      enabled
+    );
+  }
+
+  disableResource(name) {
+    return this.enableResource(name, false);
+  }
+
+  /**
+   * Enable or disable a prompt
+   * Disabled prompts are left out of prompts/list and cannot be retrieved
+   */
+  enablePrompt(name, enabled = true) {
+    return this.setEntryEnabled('prompts', [this.prompts], name, enabled);
+  }
+
+  disablePrompt(name) {
+    return this.enablePrompt(name, false);
+  }
+
+  /**
+   * Delete an entry from the registries of a primitive
+   */
+  removeEntry(type, registries, name) {
+    const removed = registries
+      .map((entries) => entries.delete(name))
+      .some(Boolean);
+
+    if (removed) {
+      this.notifyListChanged(type);
+    }
+
+    return removed;
+  }
+
+  /**
+   * Toggle an entry of a primitive, notifying only when its state changes
+   */
+  setEntryEnabled(type, registries, name, enabled) {
+    const entry = registries.map((entries) => entries.get(name)).find(Boolean);
+    if (!entry) {
+      throw new Error(`${PRIMITIVE_LABELS[type]} not found: ${name}`);
+    }
+
+    if (entry.enabled !== enabled) {
+      entry.enabled = enabled;
+      this.notifyListChanged(type);
+    }
+
+    return this;
+  }
+
+  /**
+   * Announce a change of the tool, resource or prompt list
+   */
+  notifyListChanged(type) {
+    this.emit('listChanged', { type });
+  }
+
+  /**
+   * Register a handler for a client notification such as
+   * `notifications/roots/list_changed` or `notifications/cancelled`
+   * Handlers receive the notification params and the request context.
+   */
+  onNotification(method, handler) {
+    const handlers = this.notificationHandlers.get(method) || [];
+    this.notificationHandlers.set(method, [...handlers, handler]);
+    return this;
+  }
 
+  /**
+   * Register a hook run when a client terminates its session
+   * Use it to release per-session resources such as temporary credentials
+   */
+  onSessionClose(hook) {
+    this.sessionCloseHooks.push(hook);
     return this;
   }
 
+  /**
+   * Run the session close hooks for a terminated session
+   * A failing hook does not prevent the others from running
+   */
+  async closeSession(session, context = {}) {
+    const logger = context.logger || defaultLogger;
+    const results = await Promise.allSettled(
+      this.sessionCloseHooks.map((hook) => hook(session))
+    );
+
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        logger.error('Session close hook error', {
+          sessionId: session.id,
+          error: result.reason,
+        });
+      }
+    }
+  }
+
+  /**
+   * Check whether a protocol version is supported by this server
+   */
+  supportsProtocolVersion(protocolVersion) {
+    return this.config.supportedProtocolVersions.includes(protocolVersion);
+  }
+
   /**
    * Handle MCP protocol requests
+   * The context carries per-request state (negotiated protocol version, Lambda
+   * event and context, authenticated user) and is passed on to handlers
    */
-  async handleRequest(request) {
+  async handleRequest(request, context = {}) {
+    // Messages without an id are notifications and never get a response
+    if (!('id' in request)) {
+      await this.handleNotification(request, context);
+      return null;
+    }
+
+    const requestContext = {
+      ...context,
+      requestId: request.id,
+      method: request.method,
+      _meta: request.params?._meta,
+      reportProgress: createProgressReporter(
+        request.params?._meta?.progressToken,
+        context.sendNotification
+      ),
+    };
+
     switch (request.method) {
       case 'initialize':
-        return this.handleInitialize(request.params || {});
-      case 'notifications/initialized':
-        return null;
+        return this.handleInitialize(request.params || {}, requestContext);
       case 'tools/list':
-        return this.handleToolsList(request.params || {});
+        return this.handleToolsList(request.params || {}, requestContext);
       case 'tools/call':
-        return this.handleToolsCall(request.params);
+        return this.handleToolsCall(request.params, requestContext);
       case 'resources/list':
         return this.handleResourcesList(request.params || {});
       case 'resources/read':
-        return this.handleResourcesRead(request.params);
+        return this.handleResourcesRead(request.params, requestContext);
+      case 'resources/subscribe':
+        return this.handleResourcesSubscribe(request.params, requestContext);
+      case 'resources/unsubscribe':
+        return this.handleResourcesUnsubscribe(request.params, requestContext);
+      case 'resources/templates/list':
+        return this.handleResourceTemplatesList(request.params || {});
       case 'prompts/list':
         return this.handlePromptsList(request.params || {});
       case 'prompts/get':
-        return this.handlePromptsGet(request.params);
+        return this.handlePromptsGet(request.params, requestContext);
+      case 'completion/complete':
+        return this.handleCompletion(request.params);
+      case 'logging/setLevel':
+        return this.handleSetLogLevel(request.params, requestContext);
       default:
-        throw new Error(`Method not found: ${request.method}`);
+        throw new MethodNotFoundError(request.method);
+    }
+  }
+
+  /**
+   * Run the handlers registered for a notification
+   * Unknown notifications are ignored and failing handlers are only logged,
+   * since the client expects no response.
+   */
+  async handleNotification(notification, context = {}) {
+    const handlers = this.notificationHandlers.get(notification.method) || [];
+    const results = await Promise.allSettled(
+      handlers.map(async (handler) =>
+        handler(notification.params || {}, {
+          ...context,
+          method: notification.method,
+        })
+      )
+    );
+
+    for (const result of results) {
+      if (result.status === 'rejected') {
+        (context.logger || defaultLogger).error('Notification handler error', {
+          method: notification.method,
+          error: result.reason,
+        });
+      }
     }
   }
 
+  /**
+   * Handle a response sent by the client to a server-initiated request
+   * Emitted as a `clientResponse` event with the response and request context.
+   */
+  handleClientResponse(response, context = {}) {
+    this.emit('clientResponse', response, context);
+  }
+
   /**
    * Handle initialize request
    */
-  async handleInitialize() {
+  async handleInitialize(params, context = {}) {
+    const protocolVersion = negotiateProtocolVersion(
+      params.protocolVersion,
+      this.config.supportedProtocolVersions,
+      this.config.protocolVersion
+    );
+
     return {
-      protocolVersion: this.config.protocolVersion,
-      capabilities: {
-        tools: { listChanged: true },
-        resources: { listChanged: true },
-        prompts: { listChanged: true },
-      },
+      protocolVersion,
+      capabilities: this.getCapabilities(protocolVersion, {
+        sessionMode: context.sessionMode,
+      }),
       serverInfo: {
         name: this.config.name,
         version: this.config.version,
@@ -151,111 +574,441 @@ export class MCPServer {
     };
   }
 
+  /**
+   * Build the capabilities advertised for a protocol version
+   * Only primitives with registered entries are advertised, along with the
+   * optional features enabled in the config (logging, experimental).
+   * Resource subscriptions need sessions to deliver updates, so they are only
+   * advertised in session mode.
+   */
+  getCapabilities(protocolVersion, { sessionMode = false } = {}) {
+    const features = getProtocolFeatures(protocolVersion);
+    const hasResources =
+      this.resources.size > 0 || this.resourceTemplates.size > 0;
+    const hasCompletions =
+      this.prompts.size > 0 || this.resourceTemplates.size > 0;
+    const experimental = this.config.experimental || {};
+
+    return {
+      ...(this.tools.size > 0 && { tools: { listChanged: true } }),
+      ...(hasResources && {
+        resources: {
+          listChanged: true,
+          ...(sessionMode && { subscribe: true }),
+        },
+      }),
+      ...(this.prompts.size > 0 && { prompts: { listChanged: true } }),
+      ...(features.completions && hasCompletions && { completions: {} }),
+      ...(this.config.logging && { logging: {} }),
+      ...(Object.keys(experimental).length > 0 && { experimental }),
+    };
+  }
+
+  /**
+   * Handle logging/setLevel request
+   * In session mode the level is stored with the session as `logLevel`
+   */
+  async handleSetLogLevel(params, context = {}) {
+    if (!this.config.logging) {
+      throw new MethodNotFoundError('logging/setLevel');
+    }
+
+    if (!LOGGING_LEVELS.includes(params?.level)) {
+      throw new InvalidParamsError(
+        `Invalid log level: ${params?.level} (expected one of ${LOGGING_LEVELS.join(', ')})`
+      );
+    }
+
+    if (context.updateSession) {
+      await context.updateSession({ logLevel: params.level });
+    }
+
+    return {};
+  }
+
   /**
    * Handle tools/list request
    */
-  async handleToolsList() {
-    const tools = Array.from(this.tools.values()).map((tool) => ({
-      name: tool.name,
-      description: tool.description,
-      inputSchema: tool.inputSchema,
-    }));
+  async handleToolsList(params, context = {}) {
+    const { items, nextCursor } = this.paginateList(
+      'tools',
+      listEnabled(this.tools),
+      params.cursor
+    );
+    const features = getProtocolFeatures(context.protocolVersion);
+
+    const tools = items.map((tool) => {
+      // Before top-level titles, clients read the display title from annotations
+      const annotations = (tool.title || tool.annotations) && {
+        ...(tool.title && { title: tool.title }),
+        ...tool.annotations,
+      };
+
+      return {
+        name: tool.name,
+        ...(tool.title && { title: tool.title }),
+        description: tool.description,
+        inputSchema: tool.inputSchema,
+        ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
+        ...(features.toolAnnotations && annotations && { annotations }),
+        ...(tool._meta && { _meta: tool._meta }),
+      };
+    });
 
-    return { tools };
+    return { tools, ...(nextCursor && { nextCursor }) };
   }
 
   /**
    * Handle tools/call request
    */
-  async handleToolsCall(params) {
+  async handleToolsCall(params, context = {}) {
     if (!params?.name) {
-      throw new Error('Tool name is required');
+      throw new InvalidParamsError('Tool name is required');
     }
 
-    const tool = this.tools.get(params.name);
+    const tool = getEnabled(this.tools, params.name);
     if (!tool) {
-      throw new Error(`Tool not found: ${params.name}`);
+      throw new InvalidParamsError(`Tool not found: ${params.name}`);
     }
 
+    // The handler's signal fires on the request deadline or the tool timeout
+    const toolTimeout = new AbortController();
+    const timer =
+      tool.timeout &&
+      setTimeout(
+        () =>
+          toolTimeout.abort(
+            new RequestTimeoutError(
+              `Request timed out: tool ${tool.name} exceeded its ${tool.timeout}ms timeout`
+            )
+          ),
+        tool.timeout
+      );
+    const { signal, dispose } = anySignal([context.signal, toolTimeout.signal]);
+
     try {
-      const result = await tool.handler(params.arguments || {});
+      const result = await raceSignal(
+        tool.handler(params.arguments || {}, { ...context, signal }),
+        signal
+      );
       return result;
     } catch (error) {
+      // Timeouts (and, in structured mode, invalid arguments) are protocol
+      // errors; other failures are reported to the model
+      if (
+        error instanceof RequestTimeoutError ||
+        (this.config.validationErrors === 'structured' &&
+          error instanceof InvalidParamsError)
+      ) {
+        throw error;
+      }
+
       return {
         content: [{ type: 'text', text: `Error: ${error.message}` }],
         isError: true,
       };
+    } finally {
+      clearTimeout(timer);
+      dispose();
     }
   }
 
   /**
    * Handle resources/list request
    */
-  async handleResourcesList() {
-    const resources = Array.from(this.resources.values()).map((resource) => ({
+  async handleResourcesList(params) {
+    const { items, nextCursor } = this.paginateList(
+      'resources',
+      listEnabled(this.resources),
+      params.cursor
+    );
+
+    const resources = items.map((resource) => ({
       uri: resource.uri,
       name: resource.name,
       description: resource.description,
     }));
 
-    return { resources };
+    return { resources, ...(nextCursor && { nextCursor }) };
   }
 
   /**
    * Handle resources/read request
    */
-  async handleResourcesRead(params) {
+  async handleResourcesRead(params, context = {}) {
     if (!params?.uri) {
-      throw new Error('Resource URI is required');
+      throw new InvalidParamsError('Resource URI is required');
     }
 
-    const resource = Array.from(this.resources.values()).find(
+    const resource = listEnabled(this.resources).find(
       (r) => r.uri === params.uri
     );
-    if (!resource) {
-      throw new Error(`Resource not found: ${params.uri}`);
+    if (resource) {
+      try {
+        const result = await resource.handler(params.uri, context);
+        return result;
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        throw new InternalError(`Resource read error: ${error.message}`);
+      }
     }
 
-    try {
-      const result = await resource.handler(params.uri);
-      return result;
-    } catch (error) {
-      throw new Error(`Resource read error: ${error.message}`);
+    for (const resourceTemplate of listEnabled(this.resourceTemplates)) {
+      let variables;
+      try {
+        variables = resourceTemplate.template.match(params.uri);
+      } catch (error) {
+        if (error.name === 'ZodError') {
+          throw new ResourceNotFoundError(
+            params.uri,
+            `Resource not found: ${params.uri} (${formatZodIssues(error)})`
+          );
+        }
+        throw error;
+      }
+
+      if (!variables) {
+        continue;
+      }
+
+      try {
+        const result = await resourceTemplate.handler(
+          params.uri,
+          variables,
+          context
+        );
+        return result;
+      } catch (error) {
+        if (error instanceof McpError) {
+          throw error;
+        }
+        throw new InternalError(`Resource read error: ${error.message}`);
+      }
+    }
+
+    throw new ResourceNotFoundError(params.uri);
+  }
+
+  /**
+   * Handle resources/subscribe request
+   * Subscriptions are stored with the session as `subscriptions`
+   */
+  async handleResourcesSubscribe(params, context = {}) {
+    const uri = this.resolveSubscriptionUri(params, context);
+    if (!this.hasResource(uri)) {
+      throw new ResourceNotFoundError(uri);
+    }
+
+    await context.updateSession(({ subscriptions = [] }) => ({
+      subscriptions: subscriptions.includes(uri)
+        ? subscriptions
+        : [...subscriptions, uri],
+    }));
+
+    return {};
+  }
+
+  /**
+   * Handle resources/unsubscribe request
+   */
+  async handleResourcesUnsubscribe(params, context = {}) {
+    const uri = this.resolveSubscriptionUri(params, context);
+
+    await context.updateSession(({ subscriptions = [] }) => ({
+      subscriptions: subscriptions.filter((s) => s !== uri),
+    }));
+
+    return {};
+  }
+
+  /**
+   * Check the params and context of a subscription request
+   * Returns the resource URI
+   */
+  resolveSubscriptionUri(params, context) {
+    if (!context.session || !context.updateSession) {
+      throw new McpError(
+        ErrorCode.InvalidRequest,
+        'Resource subscriptions require session mode'
+      );
     }
+
+    if (!params?.uri) {
+      throw new InvalidParamsError('Resource URI is required');
+    }
+
+    return params.uri;
+  }
+
+  /**
+   * Check whether a URI names an enabled resource or matches a resource template
+   */
+  hasResource(uri) {
+    if (listEnabled(this.resources).some((r) => r.uri === uri)) {
+      return true;
+    }
+
+    return listEnabled(this.resourceTemplates).some((resourceTemplate) => {
+      try {
+        return resourceTemplate.template.match(uri) !== null;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /**
+   * Notify subscribed clients that a resource changed
+   * Emits a `resourceUpdated` event with `{ uri }`; in session mode the Lambda
+   * handler sends notifications/resources/updated to the subscribed sessions.
+   */
+  notifyResourceUpdated(uri) {
+    this.emit('resourceUpdated', { uri });
+  }
+
+  /**
+   * Handle resources/templates/list request
+   */
+  async handleResourceTemplatesList(params) {
+    const { items, nextCursor } = this.paginateList(
+      'resourceTemplates',
+      listEnabled(this.resourceTemplates),
+      params.cursor
+    );
+
+    const resourceTemplates = items.map((resourceTemplate) => ({
+      uriTemplate: resourceTemplate.template.uriTemplate.toString(),
+      name: resourceTemplate.name,
+      description: resourceTemplate.description,
+      ...(resourceTemplate.template.mimeType && {
+        mimeType: resourceTemplate.template.mimeType,
+      }),
+    }));
+
+    return { resourceTemplates, ...(nextCursor && { nextCursor }) };
   }
 
   /**
    * Handle prompts/list request
    */
-  async handlePromptsList() {
-    const prompts = Array.from(this.prompts.values()).map((prompt) => ({
+  async handlePromptsList(params) {
+    const { items, nextCursor } = this.paginateList(
+      'prompts',
+      listEnabled(this.prompts),
+      params.cursor
+    );
+
+    const prompts = items.map((prompt) => ({
       name: prompt.name,
       description: prompt.description,
       arguments: prompt.arguments,
     }));
 
-    return { prompts };
+    return { prompts, ...(nextCursor && { nextCursor }) };
   }
 
   /**
    * Handle prompts/get request
    */
-  async handlePromptsGet(params) {
+  async handlePromptsGet(params, context = {}) {
     if (!params?.name) {
-      throw new Error('Prompt name is required');
+      throw new InvalidParamsError('Prompt name is required');
     }
 
-    const prompt = this.prompts.get(params.name);
+    const prompt = getEnabled(this.prompts, params.name);
     if (!prompt) {
-      throw new Error(`Prompt not found: ${params.name}`);
+      throw new InvalidParamsError(`Prompt not found: ${params.name}`);
     }
 
     try {
-      const result = await prompt.handler(params.arguments || {});
+      const result = await prompt.handler(params.arguments || {}, context);
       return result;
     } catch (error) {
-      throw new Error(`Prompt execution error: ${error.message}`);
+      if (error instanceof McpError) {
+        throw error;
+      }
+      throw new InternalError(`Prompt execution error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle completion/complete request
+   */
+  async handleCompletion(params) {
+    if (!params?.ref?.type) {
+      throw new InvalidParamsError('Completion reference is required');
     }
+
+    if (!params.argument?.name) {
+      throw new InvalidParamsError('Completion argument name is required');
+    }
+
+    let schema;
+    let provider;
+
+    if (params.ref.type === 'ref/prompt') {
+      const prompt = getEnabled(this.prompts, params.ref.name);
+      if (!prompt) {
+        throw new InvalidParamsError(`Prompt not found: ${params.ref.name}`);
+      }
+
+      schema = prompt.inputSchema[params.argument.name];
+      provider = prompt.complete[params.argument.name];
+    } else if (params.ref.type === 'ref/resource') {
+      const resourceTemplate = listEnabled(this.resourceTemplates).find(
+        (t) => t.template.uriTemplate.toString() === params.ref.uri
+      );
+      if (!resourceTemplate) {
+        const isFixedResource = listEnabled(this.resources).some(
+          (r) => r.uri === params.ref.uri
+        );
+        if (!isFixedResource) {
+          throw new ResourceNotFoundError(params.ref.uri);
+        }
+        return { completion: { values: [], total: 0, hasMore: false } };
+      }
+
+      schema = resourceTemplate.template.variables?.[params.argument.name];
+      provider = resourceTemplate.template.complete[params.argument.name];
+    } else {
+      throw new InvalidParamsError(
+        `Unsupported completion reference: ${params.ref.type}`
+      );
+    }
+
+    const value = params.argument.value ?? '';
+    let values = [];
+
+    if (provider) {
+      values = await provider(value, {
+        arguments: params.context?.arguments || {},
+      });
+    } else if (schema) {
+      values = (getZodEnumValues(schema) || []).filter((v) =>
+        v.startsWith(value)
+      );
+    }
+
+    return {
+      completion: {
+        values: values.slice(0, MAX_COMPLETION_VALUES),
+        total: values.length,
+        hasMore: values.length > MAX_COMPLETION_VALUES,
+      },
+    };
+  }
+
+  /**
+   * Slice a list into the page requested by the cursor
+   */
+  paginateList(list, items, cursor) {
+    return paginate(items, cursor, {
+      list,
+      pageSize: this.config.pageSize,
+      secret: this.cursorSecret,
+    });
   }
 
   /**
@@ -265,6 +1018,7 @@ export class MCPServer {
     return {
       tools: this.tools.size,
       resources: this.resources.size,
+      resourceTemplates: this.resourceTemplates.size,
       prompts: this.prompts.size,
       config: this.config,
     };
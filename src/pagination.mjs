@@ -0,0 +1,106 @@
+/**
+ * Pagination Utilities
+ *
+ * Opaque cursor handling for the MCP list methods
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { InvalidParamsError } from './errors.mjs';
+
+/**
+ * Resolve the key used to sign cursors
+ * Cursors must survive cold starts, so the key is never generated at random.
+ * It must come from the configuration or the environment: anything derived
+ * from the server identity would be known to every client.
+ */
+export function resolveCursorSecret(config = {}) {
+  const secret = config.cursorSecret || process.env.MCP_CURSOR_SECRET;
+
+  if (!secret && config.pageSize) {
+    throw new Error(
+      'pageSize requires a cursorSecret or the MCP_CURSOR_SECRET environment variable'
+    );
+  }
+
+  return secret;
+}
+
+/**
+ * Sign a cursor payload
+ */
+function sign(payload, secret) {
+  return createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Encode a list position as a signed, opaque cursor
+ */
+export function encodeCursor(position, secret) {
+  const payload = Buffer.from(JSON.stringify(position)).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Decode a cursor created by encodeCursor
+ * Returns null when the cursor is malformed or its signature does not match
+ */
+export function decodeCursor(cursor, secret) {
+  if (typeof cursor !== 'string') {
+    return null;
+  }
+
+  const [payload, signature, ...rest] = cursor.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Return one page of items and the cursor for the next page
+ * @param {Array} items - Full list of items
+ * @param {string|undefined} cursor - Cursor from the request params
+ * @param {Object} options - Pagination options
+ * @param {string} options.list - Name of the list being paginated
+ * @param {number} [options.pageSize] - Maximum items per page (all when unset)
+ * @param {string} options.secret - Key used to sign cursors
+ * @returns {Object} Page items and nextCursor (undefined on the last page)
+ */
+export function paginate(items, cursor, { list, pageSize, secret }) {
+  let offset = 0;
+
+  if (cursor !== undefined) {
+    const position = decodeCursor(cursor, secret);
+    if (
+      !position ||
+      position.list !== list ||
+      !Number.isInteger(position.offset) ||
+      position.offset < 0
+    ) {
+      throw new InvalidParamsError('Invalid cursor');
+    }
+    offset = position.offset;
+  }
+
+  const end = pageSize ? offset + pageSize : items.length;
+  const page = items.slice(offset, end);
+
+  return {
+    items: page,
+    nextCursor:
+      end < items.length
+        ? encodeCursor({ list, offset: end }, secret)
+        : undefined,
+  };
+}
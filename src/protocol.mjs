@@ -0,0 +1,58 @@
+/**
+ * Protocol Versions
+ *
+ * MCP protocol versions supported by the server and the behaviour each one enables
+ */
+
+/**
+ * Newest protocol version, offered when the client asks for one we do not support
+ */
+export const LATEST_PROTOCOL_VERSION = '2025-03-26';
+
+/**
+ * Version assumed for requests that carry no Mcp-Protocol-Version header
+ */
+export const DEFAULT_NEGOTIATED_PROTOCOL_VERSION = '2025-03-26';
+
+/**
+ * Protocol versions supported out of the box, newest first
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
+/**
+ * Behaviour switches per protocol version
+ */
+const PROTOCOL_FEATURES = {
+  '2024-11-05': {
+    batching: false,
+    toolAnnotations: false,
+    completions: false,
+  },
+  '2025-03-26': {
+    batching: true,
+    toolAnnotations: true,
+    completions: true,
+  },
+};
+
+/**
+ * Get the behaviour switches for a protocol version
+ * Unknown versions get the switches of the latest version
+ */
+export function getProtocolFeatures(protocolVersion) {
+  return (
+    PROTOCOL_FEATURES[protocolVersion] ||
+    PROTOCOL_FEATURES[LATEST_PROTOCOL_VERSION]
+  );
+}
+
+/**
+ * Pick the protocol version to use for a session
+ * @param {string} requested - Version requested by the client in initialize
+ * @param {string[]} supported - Versions supported by the server
+ * @param {string} preferred - Version offered when the requested one is not supported
+ * @returns {string} Negotiated protocol version
+ */
+export function negotiateProtocolVersion(requested, supported, preferred) {
+  return supported.includes(requested) ? requested : preferred;
+}
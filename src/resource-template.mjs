@@ -0,0 +1,64 @@
+/**
+ * Resource Template
+ *
+ * Describes a family of resources addressed by an RFC 6570 URI template
+ */
+
+import { UriTemplate } from './uri-template.mjs';
+import { validateWithZod } from './schema-utils.mjs';
+
+/**
+ * Resource template passed to MCPServer.resource() in place of a fixed URI
+ *
+ * @example
+ * server.resource(
+ *   'user-profile',
+ *   new ResourceTemplate('users://{userId}/profile', {
+ *     variables: { userId: z.string().uuid() },
+ *   }),
+ *   async (uri, { userId }) => ({ contents: [...] })
+ * );
+ */
+export class ResourceTemplate {
+  /**
+   * @param {string} uriTemplate - RFC 6570 URI template (levels 1 and 2)
+   * @param {Object} [options] - Template options
+   * @param {Object} [options.variables] - Zod schemas for the template variables
+   * @param {string} [options.mimeType] - MIME type of the resources
+   * @param {Object} [options.complete] - Completion providers keyed by variable name
+   */
+  constructor(uriTemplate, options = {}) {
+    this.uriTemplate = new UriTemplate(uriTemplate);
+    this.variables = options.variables;
+    this.mimeType = options.mimeType;
+    this.complete = options.complete || {};
+
+    for (const key of [
+      ...Object.keys(this.variables || {}),
+      ...Object.keys(this.complete),
+    ]) {
+      if (!this.uriTemplate.variableNames.includes(key)) {
+        throw new Error(
+          `Variable "${key}" does not appear in URI template: ${uriTemplate}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Match a URI and return its validated variables, or null when it does not match
+   * Throws a ZodError when the variables fail validation
+   */
+  match(uri) {
+    const variables = this.uriTemplate.match(uri);
+    if (!variables) {
+      return null;
+    }
+
+    if (!this.variables) {
+      return variables;
+    }
+
+    return { ...variables, ...validateWithZod(this.variables, variables) };
+  }
+}
@@ -178,32 +178,83 @@ export function hasZodDefault(zodType) {
   return zodType instanceof z.ZodDefault;
 }
 
+/**
+ * Get the allowed values of a Zod enum, looking through optional and default wrappers
+ * Returns null when the type is not an enum
+ */
+export function getZodEnumValues(zodType) {
+  if (zodType instanceof z.ZodOptional || zodType instanceof z.ZodDefault) {
+    return getZodEnumValues(zodType._def.innerType);
+  }
+
+  if (zodType instanceof z.ZodEnum) {
+    return zodType._def.values;
+  }
+
+  return null;
+}
+
 /**
  * Validate arguments with Zod schema
+ * Every argument is checked, and the issues of all invalid arguments are
+ * thrown together as one ZodError with paths starting at the argument name.
  */
 export function validateWithZod(zodSchema, args) {
   const validated = {};
+  const issues = [];
 
   for (const [key, schema] of Object.entries(zodSchema)) {
-    try {
-      if (args[key] === undefined && isZodOptional(schema)) {
-        if (hasZodDefault(schema)) {
-          validated[key] = schema.parse(undefined);
-        }
-        continue;
+    if (args[key] === undefined && isZodOptional(schema)) {
+      if (hasZodDefault(schema)) {
+        validated[key] = schema.parse(undefined);
       }
+      continue;
+    }
 
-      validated[key] = schema.parse(args[key]);
-    } catch (error) {
-      throw new z.ZodError([
-        {
-          code: 'custom',
-          path: [key],
-          message: `${error.message}`,
-        },
-      ]);
+    const result = schema.safeParse(args[key]);
+    if (result.success) {
+      validated[key] = result.data;
+    } else {
+      issues.push(
+        ...result.error.issues.map((issue) => ({
+          ...issue,
+          path: [key, ...issue.path],
+        }))
+      );
     }
   }
 
+  if (issues.length > 0) {
+    throw new z.ZodError(issues);
+  }
+
   return validated;
 }
+
+/**
+ * Format the issues of a ZodError as a single line
+ */
+export function formatZodIssues(error) {
+  return error.issues
+    .map((issue) => `${issue.path.join('.')}: ${issue.message}`)
+    .join(', ');
+}
+
+/**
+ * Describe the issues of a ZodError for clients
+ * Returns plain objects with the path, code, expected and received values
+ * and message of each issue
+ */
+export function describeZodIssues(error) {
+  return error.issues.map((issue) => {
+    const expected = issue.expected ?? issue.options;
+
+    return {
+      path: issue.path,
+      code: issue.code,
+      ...(expected !== undefined && { expected }),
+      ...(issue.received !== undefined && { received: issue.received }),
+      message: issue.message,
+    };
+  });
+}
@@ -0,0 +1,171 @@
+/**
+ * Session Manager
+ *
+ * Creates and looks up sessions for stateful (Mcp-Session-Id) mode
+ */
+
+import { randomUUID } from 'node:crypto';
+import { InMemorySessionStore } from './session-store.mjs';
+
+/**
+ * Session lifecycle on top of a session store
+ */
+export class SessionManager {
+  /**
+   * @param {Object} [options] - Session options
+   * @param {Object} [options.store] - Session store (default: InMemorySessionStore)
+   * @param {number} [options.ttlSeconds] - Idle time after which in-memory sessions expire
+   */
+  constructor(options = {}) {
+    this.store =
+      options.store ||
+      new InMemorySessionStore({ ttlSeconds: options.ttlSeconds });
+    // Tail of the chain of pending updates for each session ID
+    this.updates = new Map();
+  }
+
+  /**
+   * Build a session manager from the `sessions` option of createLambdaHandler
+   * Accepts `true`, an options object or an existing SessionManager
+   */
+  static from(option) {
+    if (!option) {
+      return null;
+    }
+
+    if (option instanceof SessionManager) {
+      return option;
+    }
+
+    return new SessionManager(option === true ? {} : option);
+  }
+
+  /**
+   * Generate a new, cryptographically random session ID
+   */
+  createSessionId() {
+    return randomUUID();
+  }
+
+  /**
+   * Persist a new session after a successful initialize
+   */
+  async create(sessionId, { protocolVersion, clientCapabilities, clientInfo }) {
+    const session = {
+      id: sessionId,
+      protocolVersion,
+      clientCapabilities: clientCapabilities || {},
+      clientInfo,
+      createdAt: new Date().toISOString(),
+    };
+
+    await this.store.set(sessionId, session);
+    return session;
+  }
+
+  /**
+   * Look up a session, returning undefined when it is unknown or expired
+   */
+  async get(sessionId) {
+    return this.store.get(sessionId);
+  }
+
+  /**
+   * Merge changes into a stored session
+   * `changes` may be a function receiving the freshly read session and
+   * returning the changes. Updates of the same session run one at a time, so
+   * concurrent updaters (e.g. in a batch) see each other's writes.
+   * Returns the updated session, or undefined when it is unknown or expired
+   */
+  async update(sessionId, changes) {
+    const previous = this.updates.get(sessionId) || Promise.resolve();
+    const current = previous.then(async () => {
+      const session = await this.store.get(sessionId);
+      if (!session) {
+        return undefined;
+      }
+
+      const updated = {
+        ...session,
+        ...(typeof changes === 'function' ? changes(session) : changes),
+      };
+      await this.store.set(sessionId, updated);
+      return updated;
+    });
+
+    const tail = current.catch(() => {});
+    this.updates.set(sessionId, tail);
+    tail.then(() => {
+      if (this.updates.get(sessionId) === tail) {
+        this.updates.delete(sessionId);
+      }
+    });
+
+    return current;
+  }
+
+  /**
+   * Renew the expiry of a session that is in use
+   * Returns the session, or undefined when it is unknown or expired
+   */
+  async touch(sessionId) {
+    return this.update(sessionId, {});
+  }
+
+  /**
+   * Remove a session and its queued messages
+   */
+  async delete(sessionId) {
+    await this.store.delete(sessionId);
+  }
+
+  /**
+   * Queue a server-to-client message for delivery over the session's GET stream
+   */
+  async enqueue(sessionId, message) {
+    await this.store.enqueue(sessionId, message);
+  }
+
+  /**
+   * Take the messages queued for a session
+   */
+  async drain(sessionId) {
+    return this.store.drain(sessionId);
+  }
+
+  /**
+   * Queue a message for every active session
+   * With a filter, only the sessions for which it returns true get the message
+   */
+  async broadcast(message, filter) {
+    let sessionIds = await this.store.list();
+    if (filter) {
+      const sessions = await Promise.all(
+        sessionIds.map((sessionId) => this.store.get(sessionId))
+      );
+      sessionIds = sessionIds.filter(
+        (_, i) => sessions[i] && filter(sessions[i])
+      );
+    }
+
+    await Promise.all(
+      sessionIds.map((sessionId) => this.store.enqueue(sessionId, message))
+    );
+  }
+
+  /**
+   * Queue notifications/resources/updated for the sessions subscribed to a URI
+   * Call it directly to notify sessions from outside a request, e.g. from a
+   * function processing database change events.
+   */
+  async notifyResourceUpdated(uri) {
+    await this.broadcast(
+      {
+        jsonrpc: '2.0',
+        method: 'notifications/resources/updated',
+        params: { uri },
+      },
+      (session) => (session.subscriptions || []).includes(uri)
+    );
+  }
+}
@@ -0,0 +1,239 @@
+/**
+ * Session Stores
+ *
+ * Persistence for stateful mode, where clients identify their session with
+ * the Mcp-Session-Id header. A session store implements:
+ *
+ *   get(sessionId)          -> session object, or undefined when unknown/expired
+ *   set(sessionId, session) -> persists the session and renews its expiry
+ *   delete(sessionId)       -> removes the session and its queued messages
+ *   list()                  -> IDs of the unexpired sessions
+ *   enqueue(sessionId, message) -> queues a server-to-client message
+ *   drain(sessionId)        -> returns and removes the queued messages
+ *
+ * All methods may return promises.
+ */
+
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Default idle time after which a session expires
+ */
+export const DEFAULT_SESSION_TTL_SECONDS = 3600;
+
+/**
+ * Check whether a stored session has expired
+ */
+function isExpired(session) {
+  return session.expiresAt !== undefined && session.expiresAt <= Date.now();
+}
+
+/**
+ * Session store keeping sessions in the memory of the Lambda execution environment
+ * Suitable for tests and single-instance deployments only: sessions are lost
+ * on cold start and are not shared between concurrent execution environments.
+ */
+export class InMemorySessionStore {
+  constructor(options = {}) {
+    this.ttlSeconds = options.ttlSeconds ?? DEFAULT_SESSION_TTL_SECONDS;
+    this.sessions = new Map();
+    this.queues = new Map();
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return undefined;
+    }
+
+    if (isExpired(session)) {
+      await this.delete(sessionId);
+      return undefined;
+    }
+
+    return structuredClone(session);
+  }
+
+  async set(sessionId, session) {
+    this.sessions.set(
+      sessionId,
+      structuredClone({
+        ...session,
+        expiresAt: Date.now() + this.ttlSeconds * 1000,
+      })
+    );
+  }
+
+  async delete(sessionId) {
+    this.sessions.delete(sessionId);
+    this.queues.delete(sessionId);
+  }
+
+  async list() {
+    const ids = [];
+    for (const [sessionId, session] of this.sessions) {
+      if (isExpired(session)) {
+        await this.delete(sessionId);
+      } else {
+        ids.push(sessionId);
+      }
+    }
+    return ids;
+  }
+
+  async enqueue(sessionId, message) {
+    const queue = this.queues.get(sessionId) || [];
+    queue.push(structuredClone(message));
+    this.queues.set(sessionId, queue);
+  }
+
+  async drain(sessionId) {
+    const queue = this.queues.get(sessionId) || [];
+    this.queues.delete(sessionId);
+    return queue;
+  }
+}
+
+/**
+ * Session store backed by any key-value client
+ *
+ * The client must implement:
+ *   get(key)                      -> stored string, or undefined
+ *   set(key, value, { ttlSeconds }) -> stores the string value
+ *   delete(key)                   -> removes the key
+ *
+ * This keeps the adapter free of AWS SDK dependencies; a DynamoDB table, an
+ * ElastiCache cluster or any other shared store can be wrapped in a few lines.
+ *
+ * The session index lists each session ID with its expiry time; expired
+ * entries are pruned whenever the index is read, so it stays bounded by the
+ * number of live sessions. The index and message queues are updated with
+ * read-modify-write cycles, so concurrent writers may occasionally overwrite
+ * each other.
+ *
+ * Only `enqueue` writes a message queue. `drain` records the IDs of the
+ * messages it returned under a separate key, and `enqueue` drops those
+ * messages on its next write, so draining never removes a message it has not
+ * returned.
+ */
+export class KeyValueSessionStore {
+  /**
+   * @param {Object} client - Key-value client
+   * @param {Object} [options] - Store options
+   * @param {string} [options.prefix] - Prefix for session keys
+   * @param {number} [options.ttlSeconds] - Idle time after which sessions expire
+   */
+  constructor(client, options = {}) {
+    if (
+      !client ||
+      typeof client.get !== 'function' ||
+      typeof client.set !== 'function' ||
+      typeof client.delete !== 'function'
+    ) {
+      throw new Error(
+        'KeyValueSessionStore requires a client with get, set and delete methods'
+      );
+    }
+
+    this.client = client;
+    this.prefix = options.prefix ?? 'mcp-session:';
+    this.ttlSeconds = options.ttlSeconds ?? DEFAULT_SESSION_TTL_SECONDS;
+  }
+
+  key(sessionId) {
+    return `${this.prefix}${sessionId}`;
+  }
+
+  async readJson(key, fallback) {
+    const value = await this.client.get(key);
+    if (value === undefined || value === null) {
+      return fallback;
+    }
+
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
+  async writeJson(key, value) {
+    await this.client.set(key, JSON.stringify(value), {
+      ttlSeconds: this.ttlSeconds,
+    });
+  }
+
+  /**
+   * Read the index entries of unexpired sessions
+   * Returns the live entries and whether expired entries were dropped.
+   */
+  async readIndex() {
+    const entries = await this.readJson(`${this.prefix}index`, []);
+    const live = entries.filter((entry) => !isExpired(entry));
+    return { entries: live, pruned: live.length < entries.length };
+  }
+
+  async updateIndex(update) {
+    const { entries } = await this.readIndex();
+    await this.writeJson(`${this.prefix}index`, update(entries));
+  }
+
+  async get(sessionId) {
+    const session = await this.readJson(this.key(sessionId), undefined);
+    if (!session) {
+      return undefined;
+    }
+
+    // Stores such as DynamoDB delete expired items lazily
+    return isExpired(session) ? undefined : session;
+  }
+
+  async set(sessionId, session) {
+    const expiresAt = Date.now() + this.ttlSeconds * 1000;
+    await this.writeJson(this.key(sessionId), { ...session, expiresAt });
+    await this.updateIndex((entries) => [
+      ...entries.filter((entry) => entry.id !== sessionId),
+      { id: sessionId, expiresAt },
+    ]);
+  }
+
+  async delete(sessionId) {
+    await this.client.delete(this.key(sessionId));
+    await this.client.delete(`${this.key(sessionId)}:queue`);
+    await this.client.delete(`${this.key(sessionId)}:drained`);
+    await this.updateIndex((entries) =>
+      entries.filter((entry) => entry.id !== sessionId)
+    );
+  }
+
+  async list() {
+    const { entries, pruned } = await this.readIndex();
+    if (pruned) {
+      await this.writeJson(`${this.prefix}index`, entries);
+    }
+    return entries.map((entry) => entry.id);
+  }
+
+  async enqueue(sessionId, message) {
+    const queueKey = `${this.key(sessionId)}:queue`;
+    const [queue, drained] = await Promise.all([
+      this.readJson(queueKey, []),
+      this.readJson(`${this.key(sessionId)}:drained`, []),
+    ]);
+    await this.writeJson(queueKey, [
+      ...queue.filter((entry) => !drained.includes(entry.id)),
+      { id: randomUUID(), message },
+    ]);
+  }
+
+  async drain(sessionId) {
+    const drainedKey = `${this.key(sessionId)}:drained`;
+    const [queue, drained] = await Promise.all([
+      this.readJson(`${this.key(sessionId)}:queue`, []),
+      this.readJson(drainedKey, []),
+    ]);
+
+    const pending = queue.filter((entry) => !drained.includes(entry.id));
+    if (pending.length > 0) {
+      const ids = queue.map((entry) => entry.id);
+      await this.writeJson(drainedKey, ids);
+    }
+    return pending.map((entry) => entry.message);
+  }
+}
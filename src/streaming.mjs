@@ -0,0 +1,160 @@
+/**
+ * Streaming Utilities
+ *
+ * Server-Sent Events formatting and Lambda response streaming helpers
+ */
+
+/**
+ * Headers for text/event-stream responses
+ */
+export const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  Connection: 'keep-alive',
+};
+
+/**
+ * Format a JSON-RPC message as a Server-Sent Events message
+ */
+export function formatSSEEvent(message, eventId) {
+  const id = eventId === undefined ? '' : `id: ${eventId}\n`;
+  return `${id}event: message\ndata: ${JSON.stringify(message)}\n\n`;
+}
+
+/**
+ * Defaults for the GET event stream of a session
+ */
+export const DEFAULT_SSE_OPTIONS = {
+  heartbeatIntervalMs: 15000,
+  pollIntervalMs: 1000,
+  maxDurationMs: 60000,
+};
+
+/**
+ * Check whether the Lambda response streaming runtime is available
+ */
+export function isResponseStreamingAvailable() {
+  return typeof globalThis.awslambda?.streamifyResponse === 'function';
+}
+
+/**
+ * Write the status line and headers of a streamed response
+ * Returns the stream the body must be written to
+ */
+export function openResponseStream(responseStream, statusCode, headers) {
+  return globalThis.awslambda.HttpResponseStream.from(responseStream, {
+    statusCode,
+    headers,
+  });
+}
+
+/**
+ * Write a complete response object to a Lambda response stream
+ */
+export function writeResponse(responseStream, response) {
+  const stream = openResponseStream(
+    responseStream,
+    response.statusCode,
+    response.headers
+  );
+  stream.write(response.body || '');
+  stream.end();
+}
+
+/**
+ * Server-Sent Events writer
+ * Writes events to a Lambda response stream as they are sent, or buffers them
+ * into a single body when the function is not invoked with response streaming.
+ * With an event store, every event is persisted and sent with its ID so the
+ * client can resume the stream with Last-Event-ID.
+ */
+export class SSEWriter {
+  /**
+   * @param {Object|null} stream - Response stream, or null to buffer
+   * @param {Object} [options] - Writer options
+   * @param {Object} [options.eventStore] - Event store persisting sent events
+   * @param {string} [options.streamId] - ID of this stream in the event store
+   */
+  constructor(stream = null, { eventStore = null, streamId } = {}) {
+    this.stream = stream;
+    this.eventStore = eventStore;
+    this.streamId = streamId;
+    this.chunks = [];
+    this.pending = Promise.resolve();
+    this.ended = false;
+  }
+
+  get isStreaming() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Write a raw chunk; ignored once the writer has ended, as handlers may
+   * keep reporting progress after a timeout response closed the stream
+   */
+  write(chunk) {
+    if (this.ended) {
+      return;
+    }
+
+    if (this.stream) {
+      this.stream.write(chunk);
+    } else {
+      this.chunks.push(chunk);
+    }
+  }
+
+  /**
+   * Send a JSON-RPC message as an event
+   * Sends are chained so events keep their order while being stored.
+   */
+  send(message) {
+    if (this.ended) {
+      return this.pending;
+    }
+
+    this.pending = this.pending.then(async () => {
+      if (this.ended) {
+        return;
+      }
+
+      const eventId = this.eventStore
+        ? await this.eventStore.storeEvent(this.streamId, message)
+        : undefined;
+      this.write(formatSSEEvent(message, eventId));
+    });
+    return this.pending;
+  }
+
+  /**
+   * Re-send a stored event with its original ID
+   */
+  replay({ eventId, message }) {
+    this.write(formatSSEEvent(message, eventId));
+  }
+
+  /**
+   * Send an SSE comment, used as a heartbeat to keep the connection open
+   */
+  comment(text) {
+    this.write(`: ${text}\n\n`);
+  }
+
+  /**
+   * Buffered body of all events sent so far
+   */
+  get body() {
+    return this.chunks.join('');
+  }
+
+  end() {
+    if (this.ended) {
+      return;
+    }
+
+    this.ended = true;
+    if (this.stream) {
+      this.stream.end();
+    }
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * URI Template Utilities
+ *
+ * RFC 6570 URI template parsing, expansion and matching (levels 1 and 2)
+ */
+
+const VARIABLE_NAME = /^[A-Za-z0-9_]+$/;
+
+/**
+ * Expression operators supported at level 2
+ * - '' simple string expansion: {var}
+ * - '+' reserved expansion: {+var}
+ * - '#' fragment expansion: {#var}
+ */
+const OPERATORS = {
+  '': { prefix: '', allowReserved: false, pattern: '([^/?#]+)' },
+  '+': { prefix: '', allowReserved: true, pattern: '(.+?)' },
+  '#': { prefix: '#', allowReserved: true, pattern: '(.*)' },
+};
+
+/**
+ * Escape a literal string for use in a regular expression
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Percent-encode a value, optionally leaving reserved characters intact
+ */
+function encodeValue(value, allowReserved) {
+  const encoded = encodeURIComponent(String(value)).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`
+  );
+
+  if (!allowReserved) {
+    return encoded;
+  }
+
+  return encoded.replace(/%(2[1346789ABCF]|3[ABDF]|40|5[BD])/gi, (match) =>
+    decodeURIComponent(match)
+  );
+}
+
+/**
+ * Parsed RFC 6570 URI template
+ */
+export class UriTemplate {
+  constructor(template) {
+    if (typeof template !== 'string') {
+      throw new Error('URI template must be a string');
+    }
+
+    this.template = template;
+    this.parts = UriTemplate.parse(template);
+    this.variableNames = this.parts
+      .filter((part) => typeof part !== 'string')
+      .map((part) => part.name);
+
+    const pattern = this.parts
+      .map((part) =>
+        typeof part === 'string'
+          ? escapeRegExp(part)
+          : escapeRegExp(OPERATORS[part.operator].prefix) +
+            OPERATORS[part.operator].pattern
+      )
+      .join('');
+    this.regex = new RegExp(`^${pattern}$`);
+  }
+
+  /**
+   * Check whether a string contains template expressions
+   */
+  static isTemplate(value) {
+    return typeof value === 'string' && /\{[^}]+\}/.test(value);
+  }
+
+  /**
+   * Split a template into literal strings and expressions
+   */
+  static parse(template) {
+    const parts = [];
+    let index = 0;
+
+    while (index < template.length) {
+      const start = template.indexOf('{', index);
+      if (start === -1) {
+        parts.push(template.slice(index));
+        break;
+      }
+
+      if (start > index) {
+        parts.push(template.slice(index, start));
+      }
+
+      const end = template.indexOf('}', start);
+      if (end === -1) {
+        throw new Error(`Unclosed expression in URI template: ${template}`);
+      }
+
+      let expression = template.slice(start + 1, end);
+      let operator = '';
+      if (expression[0] === '+' || expression[0] === '#') {
+        operator = expression[0];
+        expression = expression.slice(1);
+      }
+
+      if (!VARIABLE_NAME.test(expression)) {
+        throw new Error(
+          `Unsupported expression in URI template: {${template.slice(start + 1, end)}}`
+        );
+      }
+
+      parts.push({ operator, name: expression });
+      index = end + 1;
+    }
+
+    return parts;
+  }
+
+  /**
+   * Expand the template with the given variables
+   */
+  expand(variables = {}) {
+    return this.parts
+      .map((part) => {
+        if (typeof part === 'string') {
+          return part;
+        }
+
+        const value = variables[part.name];
+        if (value === undefined || value === null) {
+          return '';
+        }
+
+        const { prefix, allowReserved } = OPERATORS[part.operator];
+        return prefix + encodeValue(value, allowReserved);
+      })
+      .join('');
+  }
+
+  /**
+   * Match a URI against the template
+   * Returns the decoded variables, or null when the URI does not match
+   */
+  match(uri) {
+    const match = this.regex.exec(uri);
+    if (!match) {
+      return null;
+    }
+
+    const variables = {};
+    try {
+      this.variableNames.forEach((name, i) => {
+        variables[name] = decodeURIComponent(match[i + 1]);
+      });
+    } catch {
+      return null;
+    }
+
+    return variables;
+  }
+
+  toString() {
+    return this.template;
+  }
+}
@@ -0,0 +1,309 @@
+/**
+ * Authentication tests for lambda-mcp-adaptor
+ */
+
+import { expect } from 'chai';
+import { createHash, createHmac } from 'node:crypto';
+import { createMCPServer, createLambdaHandler, Logger } from '../src/index.mjs';
+import { Auth, hashToken, validateBearerToken } from '../src/auth/index.mjs';
+
+const SECRET = 'a-shared-secret-of-sufficient-length';
+
+function createToken(claims) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  return `${data}.${createHmac('sha256', SECRET).update(data).digest('base64url')}`;
+}
+
+function request(method, path, headers = {}) {
+  return {
+    httpMethod: method,
+    path,
+    headers: { Host: 'mcp.example.com', 'Content-Type': 'application/json', ...headers },
+    body: method === 'POST' ? JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' }) : null
+  };
+}
+
+describe('Authentication', function() {
+  let server;
+  
+  beforeEach(function() {
+    server = createMCPServer({ name: 'Auth Server', version: '1.0.0' });
+  });
+  
+  describe('Bearer tokens', function() {
+    const silent = new Logger({ level: 'silent' });
+    
+    function event(token) {
+      return { headers: { Authorization: `Bearer ${token}` } };
+    }
+    
+    it('should await asynchronous validators', async function() {
+      const config = Auth.custom(async (token) => {
+        await new Promise((resolve) => setTimeout(resolve, 1));
+        return token === 'async-token' ? { isValid: true, user: { id: 'async-user' } } : { isValid: false };
+      });
+      
+      const valid = await validateBearerToken(event('async-token'), config, silent);
+      expect(valid.isValid).to.be.true;
+      expect(valid.user).to.deep.equal({ id: 'async-user' });
+      
+      const invalid = await validateBearerToken(event('other'), config, silent);
+      expect(invalid.isValid).to.be.false;
+      expect(invalid.error.statusCode).to.equal(401);
+    });
+    
+    it('should answer rejected validator promises with 500', async function() {
+      const config = Auth.custom(async () => {
+        throw new Error('lookup failed');
+      });
+      
+      const result = await validateBearerToken(event('token'), config, silent);
+      expect(result.error.statusCode).to.equal(500);
+    });
+    
+    it('should match tokens of any length against the token list', async function() {
+      const config = Auth.bearerTokens(['secret-token', 'another-much-longer-secret-token']);
+      
+      expect((await validateBearerToken(event('secret-token'), config, silent)).isValid).to.be.true;
+      expect((await validateBearerToken(event('another-much-longer-secret-token'), config, silent)).isValid).to.be.true;
+      expect((await validateBearerToken(event('secret-toke'), config, silent)).isValid).to.be.false;
+      expect((await validateBearerToken(event('secret-token-'), config, silent)).isValid).to.be.false;
+    });
+    
+    it('should accept SHA-256 token digests from the environment', async function() {
+      const digest = createHash('sha256').update('hashed-token').digest('hex');
+      expect(hashToken('hashed-token')).to.equal(digest);
+      process.env.TEST_TOKEN_HASHES = ` ${digest.toUpperCase()} , ${hashToken('second-token')}`;
+      
+      try {
+        const config = Auth.bearerTokenHashes('TEST_TOKEN_HASHES');
+        expect(config.tokenHashes).to.have.length(2);
+        
+        const handler = createLambdaHandler(server, { logger: false, auth: config });
+        const allowed = await handler(request('POST', '/mcp', { Authorization: 'Bearer hashed-token' }), {});
+        expect(allowed.statusCode).to.equal(200);
+        
+        const plaintextDigest = await handler(request('POST', '/mcp', { Authorization: `Bearer ${digest}` }), {});
+        expect(plaintextDigest.statusCode).to.equal(401);
+      } finally {
+        delete process.env.TEST_TOKEN_HASHES;
+      }
+    });
+  });
+  
+  describe('Protected resource metadata', function() {
+    const oauth = {
+      authorizationServers: ['https://auth.example.com'],
+      scopes: ['mcp:read', 'mcp:write'],
+      requiredScopes: ['mcp:read'],
+      resourceName: 'Example MCP'
+    };
+    
+    it('should serve the metadata document without authentication', async function() {
+      const handler = createLambdaHandler(server, {
+        logger: false,
+        auth: Auth.jwt({ key: SECRET, ...oauth })
+      });
+      
+      const response = await handler(request('GET', '/.well-known/oauth-protected-resource'), {});
+      expect(response.statusCode).to.equal(200);
+      expect(response.headers['Access-Control-Allow-Origin']).to.equal('*');
+      expect(JSON.parse(response.body)).to.deep.equal({
+        resource: 'https://mcp.example.com',
+        authorization_servers: ['https://auth.example.com'],
+        scopes_supported: ['mcp:read', 'mcp:write'],
+        bearer_methods_supported: ['header'],
+        resource_name: 'Example MCP'
+      });
+    });
+    
+    it('should derive the resource from the path of the request', async function() {
+      const handler = createLambdaHandler(server, {
+        logger: false,
+        auth: Auth.jwt({ key: SECRET, ...oauth })
+      });
+      
+      const metadata = await handler(request('GET', '/.well-known/oauth-protected-resource/mcp'), {});
+      expect(metadata.statusCode).to.equal(200);
+      expect(JSON.parse(metadata.body).resource).to.equal('https://mcp.example.com/mcp');
+      
+      const challenge = await handler(request('POST', '/mcp'), {});
+      expect(challenge.statusCode).to.equal(401);
+      expect(challenge.headers['WWW-Authenticate']).to.include(
+        'resource_metadata="https://mcp.example.com/.well-known/oauth-protected-resource/mcp"'
+      );
+    });
+    
+    it('should serve the metadata of a configured resource at its suffixed path', async function() {
+      const handler = createLambdaHandler(server, {
+        logger: false,
+        auth: Auth.jwt({ key: SECRET, ...oauth, resource: 'https://api.example.com/mcp' })
+      });
+      
+      const metadata = await handler(request('GET', '/.well-known/oauth-protected-resource/mcp'), {});
+      expect(JSON.parse(metadata.body).resource).to.equal('https://api.example.com/mcp');
+    });
+    
+    it('should reference the metadata from 401 challenges', async function() {
+      const handler = createLambdaHandler(server, {
+        logger: false,
+        auth: { ...Auth.bearerTokens(['secret-token']), ...oauth, resource: 'https://api.example.com/mcp' }
+      });
+      
+      const missing = await handler(request('POST', '/mcp'), {});
+      expect(missing.statusCode).to.equal(401);
+      expect(missing.headers['WWW-Authenticate']).to.equal(
+        'Bearer realm="MCP Server", resource_metadata="https://api.example.com/.well-known/oauth-protected-resource/mcp", scope="mcp:read"'
+      );
+      
+      const invalid = await handler(request('POST', '/mcp', { Authorization: 'Bearer wrong' }), {});
+      expect(invalid.statusCode).to.equal(401);
+      expect(invalid.headers['WWW-Authenticate']).to.equal(
+        'Bearer realm="MCP Server", resource_metadata="https://api.example.com/.well-known/oauth-protected-resource/mcp", ' +
+          'error="invalid_token", error_description="Invalid or expired token", scope="mcp:read"'
+      );
+    });
+    
+    it('should answer missing scopes with 403 insufficient_scope', async function() {
+      const handler = createLambdaHandler(server, {
+        logger: false,
+        auth: Auth.jwt({ key: SECRET, ...oauth, resourceMetadataUrl: 'https://docs.example.com/metadata.json' })
+      });
+      
+      const forbidden = await handler(
+        request('POST', '/mcp', { Authorization: `Bearer ${createToken({ scope: 'mcp:write' })}` }),
+        {}
+      );
+      expect(forbidden.statusCode).to.equal(403);
+      expect(JSON.parse(forbidden.body).error).to.equal('insufficient_scope');
+      expect(forbidden.headers['WWW-Authenticate']).to.equal(
+        'Bearer realm="MCP Server", resource_metadata="https://docs.example.com/metadata.json", ' +
+          'error="insufficient_scope", error_description="Insufficient scope", scope="mcp:read"'
+      );
+      
+      const allowed = await handler(
+        request('POST', '/mcp', { Authorization: `Bearer ${createToken({ scope: 'mcp:read mcp:write' })}` }),
+        {}
+      );
+      expect(allowed.statusCode).to.equal(200);
+    });
+    
+    it('should not publish metadata without OAuth settings', async function() {
+      const handler = createLambdaHandler(server, {
+        logger: false,
+        auth: Auth.bearerTokens(['secret-token'])
+      });
+      
+      const response = await handler(request('GET', '/.well-known/oauth-protected-resource'), {});
+      expect(response.statusCode).to.equal(401);
+      expect(response.headers['WWW-Authenticate']).to.equal('Bearer realm="MCP Server"');
+    });
+  });
+  
+  describe('API Gateway authorizer', function() {
+    beforeEach(function() {
+      server.tool('whoami', {}, async (args, context) => ({
+        content: [{ type: 'text', text: JSON.stringify(context.user) }]
+      }));
+    });
+    
+    function authorized(authorizer, headers) {
+      return {
+        ...request('POST', '/mcp', headers),
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'whoami', arguments: {} } }),
+        requestContext: { authorizer }
+      };
+    }
+    
+    async function callWhoami(config, authorizer) {
+      const handler = createLambdaHandler(server, { logger: false, auth: config });
+      const response = await handler(authorized(authorizer), {});
+      return response.statusCode === 200
+        ? JSON.parse(JSON.parse(response.body).result.content[0].text)
+        : response;
+    }
+    
+    it('should read HTTP API JWT authorizer claims and scopes', async function() {
+      const user = await callWhoami(Auth.authorizer({ requiredScopes: ['mcp:read'] }), {
+        jwt: { claims: { sub: 'user-1', iss: 'https://cognito.example' }, scopes: ['mcp:read', 'mcp:write'] }
+      });
+      
+      expect(user).to.deep.equal({
+        sub: 'user-1',
+        scopes: ['mcp:read', 'mcp:write'],
+        claims: { sub: 'user-1', iss: 'https://cognito.example' }
+      });
+    });
+    
+    it('should read REST API Cognito claims and Lambda authorizer contexts', async function() {
+      const cognito = await callWhoami(Auth.authorizer(), {
+        claims: { sub: 'user-2', scope: 'mcp:read mcp:write', 'cognito:groups': 'admins' }
+      });
+      expect(cognito.sub).to.equal('user-2');
+      expect(cognito.scopes).to.deep.equal(['mcp:read', 'mcp:write']);
+      
+      const restLambda = await callWhoami(Auth.authorizer(), {
+        principalId: 'user-3',
+        tenant: 'acme',
+        integrationLatency: 12
+      });
+      expect(restLambda).to.deep.equal({ sub: 'user-3', scopes: [], claims: { principalId: 'user-3', tenant: 'acme' } });
+      
+      const httpLambda = await callWhoami(
+        Auth.authorizer({ mapClaims: (claims) => ({ tenant: claims.tenant, scopes: [] }) }),
+        { lambda: { tenant: 'acme' } }
+      );
+      expect(httpLambda).to.deep.equal({ tenant: 'acme', scopes: [] });
+    });
+    
+    it('should check required claims and scopes', async function() {
+      const config = Auth.authorizer({
+        requiredClaims: { 'cognito:groups': ['admins', 'operators'], email_verified: 'true', tenant: true },
+        requiredScopes: ['mcp:write']
+      });
+      const claims = { sub: 'user-4', 'cognito:groups': ['users', 'admins'], email_verified: true, tenant: 'acme' };
+      
+      const allowed = await callWhoami(config, { jwt: { claims, scopes: ['mcp:write'] } });
+      expect(allowed.sub).to.equal('user-4');
+      
+      const wrongGroup = await callWhoami(config, {
+        jwt: { claims: { ...claims, 'cognito:groups': ['users'] }, scopes: ['mcp:write'] }
+      });
+      expect(wrongGroup.statusCode).to.equal(403);
+      expect(JSON.parse(wrongGroup.body)).to.deep.equal({
+        error: 'insufficient_scope',
+        message: 'Required claim not satisfied: cognito:groups'
+      });
+      expect(wrongGroup.headers['WWW-Authenticate']).to.equal(
+        'Bearer realm="MCP Server", error="insufficient_scope", ' +
+          'error_description="Required claim not satisfied: cognito:groups", scope="mcp:write"'
+      );
+      
+      const missingScope = await callWhoami(config, { jwt: { claims, scopes: ['mcp:read'] } });
+      expect(missingScope.statusCode).to.equal(403);
+      expect(JSON.parse(missingScope.body).error).to.equal('insufficient_scope');
+    });
+    
+    it('should reference the metadata when required claims are not satisfied', async function() {
+      const response = await callWhoami(
+        Auth.authorizer({ authorizationServers: ['https://auth.example.com'], requiredClaims: { tenant: 'acme' } }),
+        { jwt: { claims: { sub: 'user-5', tenant: 'other' } } }
+      );
+      
+      expect(response.statusCode).to.equal(403);
+      expect(response.headers['WWW-Authenticate']).to.equal(
+        'Bearer realm="MCP Server", resource_metadata="https://mcp.example.com/.well-known/oauth-protected-resource/mcp", ' +
+          'error="insufficient_scope", error_description="Required claim not satisfied: tenant"'
+      );
+    });
+    
+    it('should reject requests without authorizer context', async function() {
+      const handler = createLambdaHandler(server, { logger: false, auth: Auth.authorizer() });
+      
+      const response = await handler(authorized(undefined, { Authorization: 'Bearer anything' }), {});
+      expect(response.statusCode).to.equal(401);
+      expect(response.headers['WWW-Authenticate']).to.equal('Bearer realm="MCP Server"');
+    });
+  });
+});
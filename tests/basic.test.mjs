@@ -3,7 +3,14 @@
  */
 
 import { expect } from 'chai';
-import { createMCPServer, createLambdaHandler } from '../src/index.mjs';
+import {
+  createMCPServer,
+  createLambdaHandler,
+  ResourceTemplate,
+  UriTemplate,
+  McpError,
+  ResourceNotFoundError
+} from '../src/index.mjs';
 import { z } from 'zod';
 
 describe('lambda-mcp-adaptor', function() {
@@ -54,6 +61,78 @@ describe('lambda-mcp-adaptor', function() {
       expect(result.capabilities.tools).to.deep.equal({ listChanged: true });
     });
     
+    it('should advertise capabilities for what is registered', async function() {
+      const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } };
+      
+      expect((await server.handleRequest(initialize)).capabilities).to.deep.equal({});
+      
+      server.tool('test', {}, async () => ({ content: [] }));
+      expect((await server.handleRequest(initialize)).capabilities).to.deep.equal({
+        tools: { listChanged: true }
+      });
+      
+      const full = createMCPServer({
+        name: 'Full Server',
+        version: '1.0.0',
+        logging: true,
+        experimental: { batchJobs: { maxJobs: 5 } }
+      });
+      full.resource('doc', new ResourceTemplate('docs://{id}'), async () => ({ contents: [] }));
+      expect((await full.handleRequest(initialize)).capabilities).to.deep.equal({
+        resources: { listChanged: true },
+        completions: {},
+        logging: {},
+        experimental: { batchJobs: { maxJobs: 5 } }
+      });
+    });
+    
+    it('should accept logging/setLevel only when logging is enabled', async function() {
+      const setLevel = (level) => ({ jsonrpc: '2.0', id: 2, method: 'logging/setLevel', params: { level } });
+      
+      try {
+        await server.handleRequest(setLevel('info'));
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Method not found: logging/setLevel');
+      }
+      
+      const logging = createMCPServer({ name: 'Logging Server', version: '1.0.0', logging: true });
+      const changes = [];
+      const result = await logging.handleRequest(setLevel('warning'), {
+        updateSession: async (update) => changes.push(update)
+      });
+      expect(result).to.deep.equal({});
+      expect(changes).to.deep.equal([{ logLevel: 'warning' }]);
+      
+      try {
+        await logging.handleRequest(setLevel('verbose'));
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Invalid log level: verbose');
+      }
+    });
+    
+    it('should negotiate the protocol version', async function() {
+      server.prompt('greet', {}, async () => ({ messages: [] }));
+      const initialize = (protocolVersion) => server.handleRequest({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: { protocolVersion, capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+      });
+      
+      const legacy = await initialize('2024-11-05');
+      expect(legacy.protocolVersion).to.equal('2024-11-05');
+      expect(legacy.capabilities).to.not.have.property('completions');
+      
+      const current = await initialize('2025-03-26');
+      expect(current.protocolVersion).to.equal('2025-03-26');
+      expect(current.capabilities).to.have.property('completions');
+      
+      const unknown = await initialize('1999-01-01');
+      expect(unknown.protocolVersion).to.equal('2025-03-26');
+    });
+    
     it('should handle tools/list request', async function() {
       server.tool('calculate', {
         a: z.number(),
@@ -74,6 +153,75 @@ describe('lambda-mcp-adaptor', function() {
       expect(result.tools[0].inputSchema.properties).to.have.property('b');
     });
     
+    it('should list tool titles and annotations', async function() {
+      server.tool('delete_user', { userId: z.string() }, {
+        title: 'Delete user',
+        description: 'Permanently deletes a user',
+        annotations: { destructiveHint: true, idempotentHint: true },
+        _meta: { team: 'admin' }
+      }, async () => ({ content: [{ type: 'text', text: 'deleted' }] }));
+      
+      const result = await server.handleRequest(
+        { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+        { protocolVersion: '2025-03-26' }
+      );
+      
+      expect(result.tools[0]).to.deep.include({
+        name: 'delete_user',
+        title: 'Delete user',
+        description: 'Permanently deletes a user',
+        annotations: { title: 'Delete user', destructiveHint: true, idempotentHint: true },
+        _meta: { team: 'admin' }
+      });
+      
+      const legacy = await server.handleRequest(
+        { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+        { protocolVersion: '2024-11-05' }
+      );
+      
+      expect(legacy.tools[0]).to.not.have.property('annotations');
+    });
+    
+    it('should validate structured tool output against outputSchema', async function() {
+      server.tool('stats', { values: z.array(z.number()) }, {
+        outputSchema: {
+          count: z.number().int(),
+          mean: z.number()
+        }
+      }, async ({ values }) => ({
+        structuredContent: values.length
+          ? { count: values.length, mean: values.reduce((a, b) => a + b, 0) / values.length }
+          : { count: 0, mean: 'n/a' }
+      }));
+      
+      const listResult = await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+      expect(listResult.tools[0].outputSchema).to.deep.equal({
+        type: 'object',
+        properties: { count: { type: 'integer' }, mean: { type: 'number' } },
+        required: ['count', 'mean']
+      });
+      
+      const result = await server.handleRequest({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'stats', arguments: { values: [1, 2, 3] } }
+      });
+      
+      expect(result.structuredContent).to.deep.equal({ count: 3, mean: 2 });
+      expect(result.content).to.deep.equal([{ type: 'text', text: '{"count":3,"mean":2}' }]);
+      
+      const invalid = await server.handleRequest({
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'stats', arguments: { values: [] } }
+      });
+      
+      expect(invalid.isError).to.be.true;
+      expect(invalid.content[0].text).to.include('Output validation error');
+    });
+    
     it('should handle tools/call request with validation', async function() {
       server.tool('add', {
         a: z.number(),
@@ -128,6 +276,55 @@ describe('lambda-mcp-adaptor', function() {
       expect(errorResult.content[0].text).to.include('Validation error');
     });
     
+    it('should return structured validation errors when configured', async function() {
+      const structured = createMCPServer({ name: 'Strict Server', version: '1.0.0', validationErrors: 'structured' });
+      structured
+        .tool('register', {
+          email: z.string().email(),
+          plan: z.enum(['free', 'pro'])
+        }, async () => ({ content: [] }))
+        .prompt('summarize', { length: z.number() }, async () => ({ messages: [] }));
+      
+      try {
+        await structured.handleRequest({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'tools/call',
+          params: { name: 'register', arguments: { email: 'nope', plan: 'gold' } }
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.code).to.equal(-32602);
+        expect(error.message).to.equal(
+          "Validation error: email: Invalid email, plan: Invalid enum value. Expected 'free' | 'pro', received 'gold'"
+        );
+        expect(error.data.issues).to.deep.equal([
+          { path: ['email'], code: 'invalid_string', message: 'Invalid email' },
+          {
+            path: ['plan'],
+            code: 'invalid_enum_value',
+            expected: ['free', 'pro'],
+            received: 'gold',
+            message: "Invalid enum value. Expected 'free' | 'pro', received 'gold'"
+          }
+        ]);
+      }
+      
+      try {
+        await structured.handleRequest({
+          jsonrpc: '2.0',
+          id: 2,
+          method: 'prompts/get',
+          params: { name: 'summarize', arguments: { length: 'long' } }
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.data.issues).to.deep.equal([
+          { path: ['length'], code: 'invalid_type', expected: 'number', received: 'string', message: 'Expected number, received string' }
+        ]);
+      }
+    });
+    
     it('should handle optional parameters with defaults', async function() {
       server.tool('optional_test', {
         required: z.string(),
@@ -207,6 +404,69 @@ describe('lambda-mcp-adaptor', function() {
       expect(readResult.contents[0].text).to.equal('Resource content');
     });
     
+    it('should register and read resource templates', async function() {
+      server.resource(
+        'user-profile',
+        new ResourceTemplate('users://{userId}/profile', {
+          variables: { userId: z.string().regex(/^[0-9]+$/) },
+          mimeType: 'application/json'
+        }),
+        async (uri, { userId }) => ({
+          contents: [{ uri, text: JSON.stringify({ userId }), mimeType: 'application/json' }]
+        })
+      );
+      
+      const listResult = await server.handleRequest({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'resources/templates/list'
+      });
+      
+      expect(listResult.resourceTemplates).to.deep.equal([{
+        uriTemplate: 'users://{userId}/profile',
+        name: 'user-profile',
+        description: 'Resource template: user-profile',
+        mimeType: 'application/json'
+      }]);
+      
+      const readResult = await server.handleRequest({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'resources/read',
+        params: { uri: 'users://42/profile' }
+      });
+      
+      expect(JSON.parse(readResult.contents[0].text)).to.deep.equal({ userId: '42' });
+      
+      try {
+        await server.handleRequest({
+          jsonrpc: '2.0',
+          id: 3,
+          method: 'resources/read',
+          params: { uri: 'users://abc/profile' }
+        });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Resource not found: users://abc/profile');
+      }
+    });
+    
+    it('should parse, expand and match RFC 6570 URI templates', function() {
+      const simple = new UriTemplate('files://{dir}/{name}');
+      expect(simple.expand({ dir: 'a b', name: 'c/d' })).to.equal('files://a%20b/c%2Fd');
+      expect(simple.match('files://a%20b/c%2Fd')).to.deep.equal({ dir: 'a b', name: 'c/d' });
+      expect(simple.match('files://a/b/c')).to.be.null;
+      
+      const reserved = new UriTemplate('repo://{owner}/{+path}{#section}');
+      expect(reserved.expand({ owner: 'me', path: 'src/index.mjs', section: 'top' }))
+        .to.equal('repo://me/src/index.mjs#top');
+      expect(reserved.match('repo://me/src/index.mjs#top'))
+        .to.deep.equal({ owner: 'me', path: 'src/index.mjs', section: 'top' });
+      
+      expect(() => new UriTemplate('bad://{a,b}')).to.throw('Unsupported expression');
+      expect(() => new UriTemplate('bad://{a')).to.throw('Unclosed expression');
+    });
+    
     it('should register and handle prompts', async function() {
       server.prompt('test-prompt', {
         input: z.string(),
@@ -239,16 +499,207 @@ describe('lambda-mcp-adaptor', function() {
       
       expect(getResult.messages[0].content.text).to.equal('Process: test input (test context)');
     });
+    
+    it('should complete prompt arguments from enums and providers', async function() {
+      server.prompt('deploy', {
+        environment: z.enum(['production', 'preview', 'staging']).optional(),
+        project: z.string()
+      }, {
+        complete: {
+          project: async (value, { arguments: resolved }) =>
+            ['alpha', 'beta', 'alpine']
+              .filter((p) => p.startsWith(value))
+              .map((p) => `${resolved.environment || 'any'}/${p}`)
+        }
+      }, ({ project }) => ({
+        messages: [{ role: 'user', content: { type: 'text', text: project } }]
+      }));
+      
+      const enumResult = await server.handleRequest({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'completion/complete',
+        params: {
+          ref: { type: 'ref/prompt', name: 'deploy' },
+          argument: { name: 'environment', value: 'pr' }
+        }
+      });
+      
+      expect(enumResult.completion).to.deep.equal({
+        values: ['production', 'preview'],
+        total: 2,
+        hasMore: false
+      });
+      
+      const providerResult = await server.handleRequest({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'completion/complete',
+        params: {
+          ref: { type: 'ref/prompt', name: 'deploy' },
+          argument: { name: 'project', value: 'al' },
+          context: { arguments: { environment: 'staging' } }
+        }
+      });
+      
+      expect(providerResult.completion.values).to.deep.equal(['staging/alpha', 'staging/alpine']);
+    });
+    
+    it('should complete resource template variables', async function() {
+      server.resource(
+        'project-file',
+        new ResourceTemplate('projects://{projectId}/{+path}', {
+          complete: {
+            projectId: (value) => Array.from({ length: 150 }, (_, i) => `p${i}`).filter((id) => id.startsWith(value))
+          }
+        }),
+        async (uri) => ({ contents: [{ uri, text: '' }] })
+      );
+      
+      const result = await server.handleRequest({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'completion/complete',
+        params: {
+          ref: { type: 'ref/resource', uri: 'projects://{projectId}/{+path}' },
+          argument: { name: 'projectId', value: 'p' }
+        }
+      });
+      
+      expect(result.completion.values).to.have.length(100);
+      expect(result.completion.total).to.equal(150);
+      expect(result.completion.hasMore).to.be.true;
+    });
+    
+    it('should paginate list results with signed cursors', async function() {
+      const paged = createMCPServer({
+        name: 'Paged Server',
+        version: '1.0.0',
+        pageSize: 2,
+        cursorSecret: 'test-secret'
+      });
+      for (const name of ['a', 'b', 'c']) {
+        paged.tool(name, {}, async () => ({ content: [{ type: 'text', text: name }] }));
+      }
+      
+      const first = await paged.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+      expect(first.tools.map((t) => t.name)).to.deep.equal(['a', 'b']);
+      expect(first.nextCursor).to.be.a('string');
+      
+      // A fresh instance (cold start) with the same secret accepts the cursor
+      const coldStart = createMCPServer({
+        name: 'Paged Server',
+        version: '1.0.0',
+        pageSize: 2,
+        cursorSecret: 'test-secret'
+      });
+      for (const name of ['a', 'b', 'c']) {
+        coldStart.tool(name, {}, async () => ({ content: [{ type: 'text', text: name }] }));
+      }
+      
+      const second = await coldStart.handleRequest({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/list',
+        params: { cursor: first.nextCursor }
+      });
+      expect(second.tools.map((t) => t.name)).to.deep.equal(['c']);
+      expect(second).to.not.have.property('nextCursor');
+    });
+    
+    it('should require a cursor secret when paginating', function() {
+      const previous = process.env.MCP_CURSOR_SECRET;
+      delete process.env.MCP_CURSOR_SECRET;
+      
+      try {
+        expect(() => createMCPServer({ name: 'Paged Server', version: '1.0.0', pageSize: 1 }))
+          .to.throw('pageSize requires a cursorSecret');
+        expect(() => createMCPServer({ name: 'Unpaged Server', version: '1.0.0' })).to.not.throw();
+        
+        process.env.MCP_CURSOR_SECRET = 'env-secret';
+        expect(() => createMCPServer({ name: 'Paged Server', version: '1.0.0', pageSize: 1 })).to.not.throw();
+      } finally {
+        if (previous === undefined) {
+          delete process.env.MCP_CURSOR_SECRET;
+        } else {
+          process.env.MCP_CURSOR_SECRET = previous;
+        }
+      }
+    });
+    
+    it('should reject tampered or foreign cursors', async function() {
+      const paged = createMCPServer({ name: 'Paged Server', version: '1.0.0', pageSize: 1, cursorSecret: 'test-secret' });
+      paged
+        .tool('a', {}, async () => ({ content: [] }))
+        .tool('b', {}, async () => ({ content: [] }));
+      
+      const { nextCursor } = await paged.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+      const [payload, signature] = nextCursor.split('.');
+      const forged = Buffer.from(JSON.stringify({ list: 'tools', offset: 0 })).toString('base64url');
+      
+      for (const cursor of [`${forged}.${signature}`, `${payload}.x${signature}`, 'garbage']) {
+        try {
+          await paged.handleRequest({ jsonrpc: '2.0', id: 2, method: 'tools/list', params: { cursor } });
+          expect.fail('should have thrown');
+        } catch (error) {
+          expect(error.message).to.equal('Invalid cursor');
+        }
+      }
+      
+      try {
+        await paged.handleRequest({ jsonrpc: '2.0', id: 3, method: 'prompts/list', params: { cursor: nextCursor } });
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Invalid cursor');
+      }
+    });
+    it('should remove, disable and re-enable registrations', async function() {
+      const changes = [];
+      server.on('listChanged', ({ type }) => changes.push(type));
+      server
+        .tool('flagged', {}, async () => ({ content: [{ type: 'text', text: 'on' }] }))
+        .resource('notes', 'file://notes', async () => ({ contents: [] }))
+        .resource('doc', new ResourceTemplate('docs://{id}'), async () => ({ contents: [] }))
+        .prompt('greet', {}, async () => ({ messages: [] }));
+      expect(changes).to.deep.equal(['tools', 'resources', 'resources', 'prompts']);
+      
+      const call = { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'flagged', arguments: {} } };
+      
+      server.disableTool('flagged');
+      server.disableTool('flagged');
+      expect(changes).to.have.length(5);
+      expect((await server.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' })).tools).to.deep.equal([]);
+      try {
+        await server.handleRequest(call);
+        expect.fail('should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Tool not found: flagged');
+      }
+      
+      server.enableTool('flagged');
+      expect((await server.handleRequest(call)).content[0].text).to.equal('on');
+      
+      server.disableResource('doc');
+      const templates = await server.handleRequest({ jsonrpc: '2.0', id: 3, method: 'resources/templates/list' });
+      expect(templates.resourceTemplates).to.deep.equal([]);
+      
+      expect(server.removeResource('notes')).to.be.true;
+      expect(server.removeResource('notes')).to.be.false;
+      expect(server.removePrompt('greet')).to.be.true;
+      expect(server.removeTool('flagged')).to.be.true;
+      expect(changes.slice(-4)).to.deep.equal(['resources', 'resources', 'prompts', 'tools']);
+      expect(() => server.enablePrompt('greet')).to.throw('Prompt not found: greet');
+    });
   });
   
   describe('Lambda Handler', function() {
     it('should create Lambda handler', function() {
-      const handler = createLambdaHandler(server);
+      const handler = createLambdaHandler(server, { logger: false });
       expect(handler).to.be.a('function');
     });
     
     it('should handle OPTIONS request (CORS)', async function() {
-      const handler = createLambdaHandler(server);
+      const handler = createLambdaHandler(server, { logger: false });
       
       const result = await handler({
         httpMethod: 'OPTIONS',
@@ -263,7 +714,7 @@ describe('lambda-mcp-adaptor', function() {
     it('should handle POST request with MCP message', async function() {
       server.tool('test', { input: z.string() }, async ({ input }) => ({ content: [{ type: 'text', text: input }] }));
       
-      const handler = createLambdaHandler(server);
+      const handler = createLambdaHandler(server, { logger: false });
       
       const result = await handler({
         httpMethod: 'POST',
@@ -284,8 +735,258 @@ describe('lambda-mcp-adaptor', function() {
       expect(response.result.tools).to.be.an('array');
     });
     
+    it('should pass a request context to handlers', async function() {
+      let received;
+      server.tool('whoami', {}, async (args, context) => {
+        received = context;
+        return { content: [{ type: 'text', text: context.user.sub }] };
+      });
+      
+      const handler = createLambdaHandler(server, { logger: false });
+      const lambdaContext = { awsRequestId: 'aws-request-1' };
+      
+      const result = await handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Tenant': 'acme' },
+        user: { sub: 'user-1' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 7,
+          method: 'tools/call',
+          params: { name: 'whoami', arguments: {}, _meta: { trace: 'abc' } }
+        })
+      }, lambdaContext);
+      
+      expect(JSON.parse(result.body).result.content[0].text).to.equal('user-1');
+      expect(received.requestId).to.equal(7);
+      expect(received.method).to.equal('tools/call');
+      expect(received._meta).to.deep.equal({ trace: 'abc' });
+      expect(received.headers['X-Tenant']).to.equal('acme');
+      expect(received.lambdaContext).to.equal(lambdaContext);
+      expect(received.protocolVersion).to.equal('2025-03-26');
+    });
+    
+    it('should stream progress notifications as server-sent events', async function() {
+      server.tool('report', { steps: z.number() }, async ({ steps }, { reportProgress }) => {
+        for (let i = 1; i <= steps; i++) {
+          await reportProgress(i, steps, `step ${i}`);
+        }
+        return { content: [{ type: 'text', text: 'done' }] };
+      });
+      
+      const event = {
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'tools/call',
+          params: { name: 'report', arguments: { steps: 2 }, _meta: { progressToken: 'tok' } }
+        })
+      };
+      const parseEvents = (body) => body.trim().split('\n\n').map((chunk) => JSON.parse(chunk.split('data: ')[1]));
+      
+      // Buffered when the function is not invoked with response streaming
+      const buffered = await createLambdaHandler(server, { logger: false })(event, {});
+      expect(buffered.statusCode).to.equal(200);
+      expect(buffered.headers['Content-Type']).to.equal('text/event-stream');
+      
+      const events = parseEvents(buffered.body);
+      expect(events).to.have.length(3);
+      expect(events[0]).to.deep.equal({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken: 'tok', progress: 1, total: 2, message: 'step 1' }
+      });
+      expect(events[2].id).to.equal(1);
+      expect(events[2].result.content[0].text).to.equal('done');
+      
+      // Written as it happens with Lambda response streaming
+      const written = [];
+      let prelude;
+      let ended = false;
+      globalThis.awslambda = {
+        streamifyResponse: (fn) => fn,
+        HttpResponseStream: { from: (stream, metadata) => { prelude = metadata; return stream; } }
+      };
+      try {
+        const streamingHandler = createLambdaHandler(server, { logger: false, streaming: true });
+        await streamingHandler(event, { write: (chunk) => written.push(chunk), end: () => { ended = true; } }, {});
+      } finally {
+        delete globalThis.awslambda;
+      }
+      
+      expect(prelude.statusCode).to.equal(200);
+      expect(prelude.headers['Content-Type']).to.equal('text/event-stream');
+      expect(written).to.have.length(3);
+      expect(ended).to.be.true;
+    });
+    
+    it('should answer requests without a progress token with JSON', async function() {
+      server.tool('quick', {}, async (args, { reportProgress }) => {
+        await reportProgress(1, 1);
+        return { content: [{ type: 'text', text: 'ok' }] };
+      });
+      
+      const result = await createLambdaHandler(server, { logger: false })({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'quick' } })
+      });
+      
+      expect(result.headers['Content-Type']).to.equal('application/json');
+      expect(JSON.parse(result.body).result.content[0].text).to.equal('ok');
+    });
+    
+    it('should return a timeout error before the Lambda times out', async function() {
+      let aborted = false;
+      server.tool('slow', {}, async (args, { signal }) => {
+        await new Promise((resolve) => {
+          const timer = setTimeout(resolve, 300);
+          signal.addEventListener('abort', () => {
+            aborted = true;
+            clearTimeout(timer);
+            resolve();
+          });
+        });
+        return { content: [{ type: 'text', text: 'too late' }] };
+      });
+      
+      const handler = createLambdaHandler(server, { logger: false, timeoutMarginMs: 1000 });
+      const result = await handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'slow' } })
+      }, { getRemainingTimeInMillis: () => 1030 });
+      
+      const response = JSON.parse(result.body);
+      expect(response.id).to.equal(1);
+      expect(response.error.code).to.equal(-32001);
+      expect(response.error.message).to.include('Request timed out');
+      expect(aborted).to.be.true;
+    });
+    
+    it('should enforce per-tool timeouts', async function() {
+      server.tool('bounded', {}, { timeout: 20 }, async () => {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        return { content: [{ type: 'text', text: 'too late' }] };
+      });
+      
+      const result = await createLambdaHandler(server, { logger: false })({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'bounded' } })
+      });
+      
+      const response = JSON.parse(result.body);
+      expect(response.error.code).to.equal(-32001);
+      expect(response.error.message).to.include('exceeded its 20ms timeout');
+    });
+    
+    it('should ignore progress reported after a timeout closed the stream', async function() {
+      const failures = [];
+      let finished;
+      const done = new Promise((resolve) => { finished = resolve; });
+      server.tool('lingering', {}, { timeout: 20 }, async (args, { reportProgress }) => {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        try {
+          await reportProgress(1, 2, 'still working');
+        } catch (error) {
+          failures.push(error);
+        }
+        finished();
+        return { content: [{ type: 'text', text: 'too late' }] };
+      });
+      
+      const written = [];
+      let ended = false;
+      const stream = {
+        write: (chunk) => {
+          if (ended) {
+            throw new Error('write after end');
+          }
+          written.push(chunk);
+        },
+        end: () => { ended = true; }
+      };
+      globalThis.awslambda = {
+        streamifyResponse: (fn) => fn,
+        HttpResponseStream: { from: (responseStream) => responseStream }
+      };
+      try {
+        await createLambdaHandler(server, { logger: false, streaming: true, logger: false })({
+          httpMethod: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+          body: JSON.stringify({
+            jsonrpc: '2.0',
+            id: 3,
+            method: 'tools/call',
+            params: { name: 'lingering', _meta: { progressToken: 'tok' } }
+          })
+        }, stream, {});
+      } finally {
+        delete globalThis.awslambda;
+      }
+      
+      expect(ended).to.be.true;
+      expect(written).to.have.length(1);
+      expect(JSON.parse(written[0].split('data: ')[1]).error.code).to.equal(-32001);
+      
+      await done;
+      expect(failures).to.deep.equal([]);
+      expect(written).to.have.length(1);
+    });
+    
+    it('should map typed errors to JSON-RPC errors with HTTP 200', async function() {
+      server
+        .resource('users', new ResourceTemplate('users://{id}'), async (uri, { id }) => {
+          if (id === 'ghost') {
+            throw new ResourceNotFoundError(uri, `User not found: ${id}`);
+          }
+          throw new Error('user not found in cache');
+        })
+        .prompt('quota', {}, async () => {
+          throw new McpError(-32050, 'Quota exceeded', { retryAfter: 60 });
+        });
+      
+      const handler = createLambdaHandler(server, { logger: false });
+      const call = async (method, params) => {
+        const result = await handler({
+          httpMethod: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+        });
+        expect(result.statusCode).to.equal(200);
+        return JSON.parse(result.body).error;
+      };
+      
+      expect((await call('unknown/method', {})).code).to.equal(-32601);
+      expect((await call('tools/call', { name: 'missing' })).code).to.equal(-32602);
+      expect(await call('resources/read', { uri: 'nothing://here' })).to.deep.equal({
+        code: -32002,
+        message: 'Resource not found: nothing://here',
+        data: { uri: 'nothing://here' }
+      });
+      expect(await call('resources/read', { uri: 'users://ghost' })).to.deep.equal({
+        code: -32002,
+        message: 'User not found: ghost',
+        data: { uri: 'users://ghost' }
+      });
+      
+      // Plain errors are internal errors, whatever their message says
+      const internal = await call('resources/read', { uri: 'users://alice' });
+      expect(internal.code).to.equal(-32603);
+      expect(internal.message).to.equal('Resource read error: user not found in cache');
+      
+      expect(await call('prompts/get', { name: 'quota' })).to.deep.equal({
+        code: -32050,
+        message: 'Quota exceeded',
+        data: { retryAfter: 60 }
+      });
+    });
+    
     it('should handle invalid JSON', async function() {
-      const handler = createLambdaHandler(server);
+      const handler = createLambdaHandler(server, { logger: false });
       
       const result = await handler({
         httpMethod: 'POST',
@@ -301,7 +1002,7 @@ describe('lambda-mcp-adaptor', function() {
     });
     
     it('should handle missing Content-Type', async function() {
-      const handler = createLambdaHandler(server);
+      const handler = createLambdaHandler(server, { logger: false });
       
       const result = await handler({
         httpMethod: 'POST',
@@ -316,8 +1017,175 @@ describe('lambda-mcp-adaptor', function() {
       expect(response.error.message).to.include('Content-Type');
     });
     
+    it('should handle batch requests', async function() {
+      server.tool('test', { input: z.string() }, async ({ input }) => ({ content: [{ type: 'text', text: input }] }));
+      server.prompt('greet', { name: z.string() }, ({ name }) => ({
+        messages: [{ role: 'user', content: { type: 'text', text: `Hello ${name}` } }]
+      }));
+      
+      const handler = createLambdaHandler(server, { logger: false });
+      
+      const result = await handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify([
+          { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+          { jsonrpc: '2.0', method: 'notifications/initialized' },
+          { jsonrpc: '2.0', id: 2, method: 'prompts/list' },
+          { jsonrpc: '2.0', id: 3, method: 'unknown/method' },
+          { id: 4, method: 'tools/list' }
+        ])
+      });
+      
+      expect(result.statusCode).to.equal(200);
+      
+      const responses = JSON.parse(result.body);
+      expect(responses).to.have.length(4);
+      expect(responses[0].id).to.equal(1);
+      expect(responses[0].result.tools).to.have.length(1);
+      expect(responses[1].id).to.equal(2);
+      expect(responses[1].result.prompts).to.have.length(1);
+      expect(responses[2].id).to.equal(3);
+      expect(responses[2].error.code).to.equal(-32601);
+      expect(responses[3].id).to.equal(4);
+      expect(responses[3].error.code).to.equal(-32600);
+    });
+    
+    it('should answer malformed batch elements without an id with errors', async function() {
+      const handler = createLambdaHandler(server, { logger: false });
+      const send = (body) => handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      
+      const mixed = await send([{ foo: 'boo' }, { jsonrpc: '2.0', id: 1, method: 'tools/list' }]);
+      expect(mixed.statusCode).to.equal(200);
+      const responses = JSON.parse(mixed.body);
+      expect(responses).to.have.length(2);
+      expect(responses[0].id).to.equal(null);
+      expect(responses[0].error.code).to.equal(-32600);
+      expect(responses[1].id).to.equal(1);
+      
+      const invalidOnly = await send([{ foo: 'boo' }, { jsonrpc: '2.0', method: 42 }]);
+      expect(invalidOnly.statusCode).to.equal(200);
+      expect(JSON.parse(invalidOnly.body)).to.deep.equal([
+        { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: missing jsonrpc field' }, id: null },
+        { jsonrpc: '2.0', error: { code: -32600, message: 'Invalid Request: missing method field' }, id: null }
+      ]);
+    });
+    
+    it('should return 202 for a batch of notifications only', async function() {
+      const handler = createLambdaHandler(server, { logger: false });
+      
+      const result = await handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify([
+          { jsonrpc: '2.0', method: 'notifications/initialized' }
+        ])
+      });
+      
+      expect(result.statusCode).to.equal(202);
+      expect(result.body).to.equal('');
+    });
+    
+    it('should dispatch notifications and answer them with 202', async function() {
+      const received = [];
+      server
+        .onNotification('notifications/roots/list_changed', async (params, context) => {
+          received.push({ params, method: context.method });
+        })
+        .onNotification('notifications/cancelled', async () => {
+          throw new Error('handler failed');
+        });
+      
+      const handler = createLambdaHandler(server, { logger: false });
+      const send = (body) => handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      
+      for (const method of ['notifications/roots/list_changed', 'notifications/cancelled', 'notifications/unknown']) {
+        const result = await send({ jsonrpc: '2.0', method, params: { requestId: 1 } });
+        expect(result.statusCode).to.equal(202);
+        expect(result.body).to.equal('');
+      }
+      expect(received).to.deep.equal([
+        { params: { requestId: 1 }, method: 'notifications/roots/list_changed' }
+      ]);
+      
+      // The id, not the method name, makes a message a request
+      const request = JSON.parse((await send({ jsonrpc: '2.0', id: 5, method: 'notifications/initialized' })).body);
+      expect(request.id).to.equal(5);
+      expect(request.error.code).to.equal(-32601);
+    });
+    
+    it('should accept responses to server-initiated requests with 202', async function() {
+      const responses = [];
+      server.on('clientResponse', (response) => responses.push(response));
+      
+      const result = await createLambdaHandler(server, { logger: false })({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 'srv-1', result: {} })
+      });
+      
+      expect(result.statusCode).to.equal(202);
+      expect(result.body).to.equal('');
+      expect(responses).to.deep.equal([{ jsonrpc: '2.0', id: 'srv-1', result: {} }]);
+    });
+    
+    it('should reject an empty batch', async function() {
+      const handler = createLambdaHandler(server, { logger: false });
+      
+      const result = await handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '[]'
+      });
+      
+      expect(result.statusCode).to.equal(400);
+      expect(JSON.parse(result.body).error.code).to.equal(-32600);
+    });
+    
+    it('should reject unsupported Mcp-Protocol-Version headers', async function() {
+      const handler = createLambdaHandler(server, { logger: false });
+      
+      const rejected = await handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', 'mcp-protocol-version': '1999-01-01' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      });
+      
+      expect(rejected.statusCode).to.equal(400);
+      expect(JSON.parse(rejected.body).error.message).to.include('Unsupported protocol version');
+      
+      const accepted = await handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Mcp-Protocol-Version': '2024-11-05' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      });
+      
+      expect(accepted.statusCode).to.equal(200);
+    });
+    
+    it('should reject batches for protocol versions without batching', async function() {
+      const handler = createLambdaHandler(server, { logger: false });
+      
+      const result = await handler({
+        httpMethod: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Mcp-Protocol-Version': '2024-11-05' },
+        body: JSON.stringify([{ jsonrpc: '2.0', id: 1, method: 'tools/list' }])
+      });
+      
+      expect(result.statusCode).to.equal(400);
+      expect(JSON.parse(result.body).error.message).to.include('batching is not supported');
+    });
+    
     it('should handle GET request (not allowed)', async function() {
-      const handler = createLambdaHandler(server);
+      const handler = createLambdaHandler(server, { logger: false });
       
       const result = await handler({
         httpMethod: 'GET',
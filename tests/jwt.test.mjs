@@ -0,0 +1,216 @@
+/**
+ * JWT authentication tests for lambda-mcp-adaptor
+ */
+
+import { expect } from 'chai';
+import { createHmac, generateKeyPairSync, sign } from 'node:crypto';
+import { createMCPServer, createLambdaHandler, Logger } from '../src/index.mjs';
+import { Auth, createAuthMiddleware, verifyJwt, JwtValidationError } from '../src/auth/index.mjs';
+
+const SECRET = 'a-shared-secret-of-sufficient-length';
+const silent = new Logger({ level: 'silent' });
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function createToken(claims, { alg = 'HS256', key = SECRET, kid } = {}) {
+  const data = `${encode({ alg, typ: 'JWT', ...(kid && { kid }) })}.${encode(claims)}`;
+  let signature = Buffer.alloc(0);
+  if (alg === 'HS256') {
+    signature = createHmac('sha256', key).update(data).digest();
+  } else if (alg === 'ES256') {
+    signature = sign('sha256', Buffer.from(data), { key, dsaEncoding: 'ieee-p1363' });
+  } else if (alg === 'RS256') {
+    signature = sign('sha256', Buffer.from(data), key);
+  }
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+function now() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function request(token) {
+  return {
+    httpMethod: 'POST',
+    path: '/mcp',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'whoami', arguments: {} } })
+  };
+}
+
+async function authenticate(config, token) {
+  const event = { httpMethod: 'POST', headers: { Authorization: `Bearer ${token}` } };
+  const response = await createAuthMiddleware(config, { logger: silent })(event, {});
+  return { event, response };
+}
+
+describe('JWT authentication', function() {
+  const rsa = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const ec = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  
+  function jwk(publicKey, kid, alg) {
+    return { ...publicKey.export({ format: 'jwk' }), kid, alg, use: 'sig' };
+  }
+  
+  it('should verify HS256 tokens and map claims into event.user', async function() {
+    const config = Auth.jwt({ key: SECRET, issuer: 'https://issuer.example', audience: 'mcp' });
+    const token = createToken({
+      iss: 'https://issuer.example',
+      aud: ['other', 'mcp'],
+      sub: 'user-1',
+      scope: 'tools:read tools:call',
+      exp: now() + 60
+    });
+    
+    const { event, response } = await authenticate(config, token);
+    expect(response).to.be.null;
+    expect(event.user.sub).to.equal('user-1');
+    expect(event.user.scopes).to.deep.equal(['tools:read', 'tools:call']);
+    expect(event.user.claims.iss).to.equal('https://issuer.example');
+    expect(event.authToken).to.equal(token);
+  });
+  
+  it('should verify RS256 and ES256 tokens with static public keys', async function() {
+    const rsaClaims = await verifyJwt(
+      createToken({ sub: 'rsa' }, { alg: 'RS256', key: rsa.privateKey }),
+      { key: rsa.publicKey.export({ type: 'spki', format: 'pem' }) }
+    );
+    const ecClaims = await verifyJwt(
+      createToken({ sub: 'ec' }, { alg: 'ES256', key: ec.privateKey }),
+      { key: jwk(ec.publicKey) }
+    );
+    
+    expect(rsaClaims.sub).to.equal('rsa');
+    expect(ecClaims.sub).to.equal('ec');
+  });
+  
+  it('should reject invalid signatures, algorithms and claims', async function() {
+    const options = { key: SECRET, issuer: 'iss', audience: 'aud' };
+    const valid = { iss: 'iss', aud: 'aud', exp: now() + 60 };
+    const cases = [
+      [createToken(valid, { key: 'another-secret' }), 'Invalid token signature'],
+      [createToken(valid, { alg: 'RS256', key: rsa.privateKey }), 'No matching key for token'],
+      [createToken(valid, { alg: 'none' }), 'Unsupported token algorithm: none'],
+      [createToken({ ...valid, exp: now() - 10 }), 'Token has expired'],
+      [createToken({ ...valid, nbf: now() + 60 }), 'Token is not yet valid'],
+      [createToken({ ...valid, iss: 'other' }), 'Unexpected token issuer'],
+      [createToken({ ...valid, aud: 'other' }), 'Unexpected token audience'],
+      ['not-a-jwt', 'Malformed token'],
+      [`${encode(null)}.${encode({})}.abc`, 'Malformed token header'],
+      [`${encode('HS256')}.${encode({})}.abc`, 'Malformed token header'],
+      [`${encode({ alg: ['HS256'] })}.${encode({})}.abc`, 'Malformed token header']
+    ];
+    
+    for (const [token, message] of cases) {
+      try {
+        await verifyJwt(token, options);
+        expect.fail(`Expected rejection: ${message}`);
+      } catch (error) {
+        expect(error).to.be.instanceOf(JwtValidationError);
+        expect(error.message).to.equal(message);
+      }
+    }
+  });
+  
+  it('should accept exp and nbf within the clock tolerance', async function() {
+    const token = createToken({ exp: now() - 5, nbf: now() + 5 });
+    
+    const claims = await verifyJwt(token, { key: SECRET, clockTolerance: 30 });
+    expect(claims.exp).to.be.a('number');
+  });
+  
+  it('should answer rejected tokens with 401 invalid_token', async function() {
+    const config = Auth.jwt({ key: SECRET });
+    
+    const { event, response } = await authenticate(config, createToken({ exp: now() - 10 }));
+    expect(response.statusCode).to.equal(401);
+    expect(response.headers['WWW-Authenticate']).to.equal(
+      'Bearer realm="MCP Server", error="invalid_token", error_description="Token has expired"'
+    );
+    expect(JSON.parse(response.body)).to.deep.equal({ error: 'invalid_token', message: 'Token has expired' });
+    expect(event.user).to.be.undefined;
+  });
+  
+  it('should cache JWKS keys and refetch on an unknown kid', async function() {
+    let documents = [{ keys: [jwk(rsa.publicKey, 'key-1', 'RS256')] }];
+    const fetched = [];
+    const config = Auth.jwt({
+      jwksUri: 'https://issuer.example/jwks.json',
+      fetchJwks: async (uri) => {
+        fetched.push(uri);
+        return documents[Math.min(fetched.length, documents.length) - 1];
+      },
+      minRefetchIntervalMs: 0
+    });
+    
+    const first = createToken({ sub: 'a' }, { alg: 'RS256', key: rsa.privateKey, kid: 'key-1' });
+    expect((await authenticate(config, first)).response).to.be.null;
+    expect((await authenticate(config, first)).response).to.be.null;
+    expect(fetched).to.deep.equal(['https://issuer.example/jwks.json']);
+    
+    // Rotate to a new ES256 key
+    documents = [documents[0], { keys: [jwk(ec.publicKey, 'key-2', 'ES256')] }];
+    const rotated = createToken({ sub: 'b' }, { alg: 'ES256', key: ec.privateKey, kid: 'key-2' });
+    const { event, response } = await authenticate(config, rotated);
+    expect(response).to.be.null;
+    expect(event.user.sub).to.equal('b');
+    expect(fetched).to.have.length(2);
+    
+    const unknown = createToken({ sub: 'c' }, { alg: 'ES256', key: ec.privateKey, kid: 'key-3' });
+    expect((await authenticate(config, unknown)).response.statusCode).to.equal(401);
+  });
+  
+  it('should limit refetches for unknown key IDs', async function() {
+    let count = 0;
+    const config = Auth.jwt({
+      jwksUri: 'https://issuer.example/jwks.json',
+      fetchJwks: async () => {
+        count++;
+        return { keys: [jwk(rsa.publicKey, 'key-1', 'RS256')] };
+      }
+    });
+    const unknown = createToken({}, { alg: 'RS256', key: rsa.privateKey, kid: 'missing' });
+    
+    await authenticate(config, unknown);
+    await authenticate(config, unknown);
+    expect(count).to.equal(1);
+  });
+  
+  it('should answer malformed token headers with 401', async function() {
+    const { response } = await authenticate(Auth.jwt({ key: SECRET }), `${encode(null)}.${encode({})}.abc`);
+    expect(response.statusCode).to.equal(401);
+    expect(JSON.parse(response.body)).to.deep.equal({ error: 'invalid_token', message: 'Malformed token header' });
+  });
+  
+  it('should answer JWKS failures with 500', async function() {
+    const config = Auth.jwt({
+      jwksUri: 'https://issuer.example/jwks.json',
+      fetchJwks: async () => {
+        throw new Error('network down');
+      }
+    });
+    
+    const { response } = await authenticate(config, createToken({}, { alg: 'RS256', key: rsa.privateKey }));
+    expect(response.statusCode).to.equal(500);
+    expect(JSON.parse(response.body).error).to.equal('server_error');
+  });
+  
+  it('should pass mapped users to handlers', async function() {
+    const server = createMCPServer({ name: 'JWT Server', version: '1.0.0' });
+    server.tool('whoami', {}, async (args, context) => ({
+      content: [{ type: 'text', text: `${context.user.name} (${context.user.tenant})` }]
+    }));
+    const handler = createLambdaHandler(server, {
+      logger: false,
+      auth: Auth.jwt({
+        key: SECRET,
+        mapClaims: (claims) => ({ name: claims.name, tenant: claims['https://example.com/tenant'] })
+      })
+    });
+    
+    const response = await handler(request(createToken({ name: 'Ann', 'https://example.com/tenant': 'acme' })), {});
+    expect(JSON.parse(response.body).result.content[0].text).to.equal('Ann (acme)');
+  });
+});
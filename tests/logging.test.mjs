@@ -0,0 +1,123 @@
+/**
+ * Logging tests for lambda-mcp-adaptor
+ */
+
+import { expect } from 'chai';
+import { z } from 'zod';
+import { createMCPServer, createLambdaHandler, Logger } from '../src/index.mjs';
+import { Auth } from '../src/auth/index.mjs';
+
+function post(body, headers = {}) {
+  return {
+    httpMethod: 'POST',
+    path: '/mcp',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+describe('Logging', function() {
+  let server;
+  let entries;
+  let logger;
+  
+  beforeEach(function() {
+    server = createMCPServer({ name: 'Logging Server', version: '1.0.0' });
+    server.tool('login', { user: z.string(), password: z.string() }, async ({ user }) => ({
+      content: [{ type: 'text', text: `hello ${user}` }]
+    }));
+    entries = [];
+    logger = new Logger({ level: 'debug', write: (entry) => entries.push(entry) });
+  });
+  
+  it('should write structured entries with request and correlation IDs', async function() {
+    const handler = createLambdaHandler(server, { logger });
+    
+    await handler(
+      post({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, { 'X-Correlation-Id': 'corr-1' }),
+      { awsRequestId: 'req-1' }
+    );
+    
+    expect(entries.map((entry) => entry.message)).to.deep.equal(['Request received', 'MCP request']);
+    for (const entry of entries) {
+      expect(entry.level).to.equal('debug');
+      expect(entry.requestId).to.equal('req-1');
+      expect(entry.correlationId).to.equal('corr-1');
+      expect(entry.time).to.be.a('string');
+    }
+    expect(entries[1]).to.include({ rpcId: 1, method: 'tools/list' });
+  });
+  
+  it('should redact credentials in headers and arguments', async function() {
+    const handler = createLambdaHandler(server, { logger });
+    
+    await handler(post(
+      { jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'login', arguments: { user: 'ann', password: 'hunter2' } } },
+      { Authorization: 'Bearer secret-token', 'X-Tenant': 'acme' }
+    ), {});
+    
+    const [received, request] = entries;
+    expect(received.headers.Authorization).to.equal('[REDACTED]');
+    expect(received.headers['X-Tenant']).to.equal('acme');
+    expect(request.params.arguments).to.deep.equal({ user: 'ann', password: '[REDACTED]' });
+    expect(JSON.stringify(entries)).to.not.include('hunter2');
+    expect(JSON.stringify(entries)).to.not.include('secret-token');
+  });
+  
+  it('should support custom redaction lists', async function() {
+    const custom = new Logger({
+      level: 'debug',
+      redactHeaders: ['x-tenant'],
+      redactFields: ['user'],
+      write: (entry) => entries.push(entry)
+    });
+    
+    custom.info('custom', { headers: { 'X-Tenant': 'acme' }, args: { user: 'ann', password: 'p' } });
+    expect(entries[0].headers['X-Tenant']).to.equal('[REDACTED]');
+    expect(entries[0].args).to.deep.equal({ user: '[REDACTED]', password: 'p' });
+  });
+  
+  it('should log errors and never dump the authenticated event', async function() {
+    const handler = createLambdaHandler(server, {
+      logger,
+      auth: Auth.bearerTokens(['secret-token'])
+    });
+    
+    await handler(post(
+      { jsonrpc: '2.0', id: 2, method: 'unknown/method' },
+      { Authorization: 'Bearer secret-token' }
+    ), { awsRequestId: 'req-2' });
+    await handler(post({ jsonrpc: '2.0', id: 3, method: 'tools/list' }, { Authorization: 'Bearer wrong' }), {});
+    
+    const error = entries.find((entry) => entry.message === 'MCP request error');
+    expect(error.level).to.equal('error');
+    expect(error.requestId).to.equal('req-2');
+    expect(error.error.message).to.equal('Method not found: unknown/method');
+    expect(entries.find((entry) => entry.message === 'Authentication failed').statusCode).to.equal(401);
+    expect(JSON.stringify(entries)).to.not.include('secret-token');
+  });
+  
+  it('should forward entries to custom loggers and support silent mode', async function() {
+    const calls = [];
+    const custom = {
+      debug: (message, fields) => calls.push(['debug', message, fields]),
+      info: (message, fields) => calls.push(['info', message, fields]),
+      warn: (message, fields) => calls.push(['warn', message, fields]),
+      error: (message, fields) => calls.push(['error', message, fields])
+    };
+    
+    await createLambdaHandler(server, { logger: custom })(
+      post({ jsonrpc: '2.0', id: 1, method: 'tools/list' }, { Authorization: 'Bearer abc' }),
+      { awsRequestId: 'req-3' }
+    );
+    expect(calls[0][0]).to.equal('debug');
+    expect(calls[0][1]).to.equal('Request received');
+    expect(calls[0][2].requestId).to.equal('req-3');
+    expect(calls[0][2].headers.Authorization).to.equal('[REDACTED]');
+    
+    const written = [];
+    const silent = new Logger({ level: 'silent', write: (entry) => written.push(entry) });
+    silent.error('hidden');
+    expect(written).to.deep.equal([]);
+  });
+});
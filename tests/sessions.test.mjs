@@ -0,0 +1,575 @@
+/**
+ * Session mode tests for lambda-mcp-adaptor
+ */
+
+import { expect } from 'chai';
+import {
+  createMCPServer,
+  createLambdaHandler,
+  KeyValueSessionStore,
+  InMemorySessionStore,
+  SessionManager,
+  InMemoryEventStore,
+  KeyValueEventStore,
+  ResourceTemplate
+} from '../src/index.mjs';
+
+function post(body, headers = {}) {
+  return {
+    httpMethod: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  };
+}
+
+function get(headers = {}) {
+  return {
+    httpMethod: 'GET',
+    headers: { Accept: 'text/event-stream', ...headers }
+  };
+}
+
+function parseEventIds(body) {
+  return body
+    .split('\n\n')
+    .filter((chunk) => chunk.startsWith('id: '))
+    .map((chunk) => chunk.split('\n')[0].slice('id: '.length));
+}
+
+function parseEvents(body) {
+  return body
+    .split('\n\n')
+    .filter((chunk) => chunk.includes('event: message'))
+    .map((chunk) => JSON.parse(chunk.split('data: ')[1]));
+}
+
+const initialize = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2024-11-05',
+    capabilities: { roots: { listChanged: true } },
+    clientInfo: { name: 'test', version: '1.0.0' }
+  }
+};
+
+describe('Sessions', function() {
+  let server;
+  
+  beforeEach(function() {
+    server = createMCPServer({ name: 'Session Server', version: '1.0.0' });
+    server.tool('whoami', {}, async (args, { session }) => ({
+      content: [{ type: 'text', text: `${session.id} ${session.protocolVersion}` }]
+    }));
+  });
+  
+  it('should issue a session ID on initialize and require it afterwards', async function() {
+    const handler = createLambdaHandler(server, { logger: false, sessions: true });
+    
+    const initResult = await handler(post(initialize));
+    const sessionId = initResult.headers['Mcp-Session-Id'];
+    expect(initResult.statusCode).to.equal(200);
+    expect(sessionId).to.be.a('string');
+    
+    const missing = await handler(post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }));
+    expect(missing.statusCode).to.equal(400);
+    expect(JSON.parse(missing.body).error.message).to.include('Mcp-Session-Id');
+    
+    const unknown = await handler(post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': 'nope' }));
+    expect(unknown.statusCode).to.equal(404);
+    
+    const call = await handler(post(
+      { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'whoami' } },
+      { 'mcp-session-id': sessionId }
+    ));
+    expect(call.statusCode).to.equal(200);
+    expect(JSON.parse(call.body).result.content[0].text).to.equal(`${sessionId} 2024-11-05`);
+  });
+  
+  it('should store the negotiated version and client capabilities', async function() {
+    const store = new InMemorySessionStore();
+    const handler = createLambdaHandler(server, { logger: false, sessions: { store } });
+    
+    const initResult = await handler(post(initialize));
+    const session = await store.get(initResult.headers['Mcp-Session-Id']);
+    
+    expect(session.protocolVersion).to.equal('2024-11-05');
+    expect(session.clientCapabilities).to.deep.equal({ roots: { listChanged: true } });
+    expect(session.clientInfo).to.deep.equal({ name: 'test', version: '1.0.0' });
+  });
+  
+  it('should store the log level with the session', async function() {
+    const logging = createMCPServer({ name: 'Logging Server', version: '1.0.0', logging: true });
+    const sessions = new SessionManager();
+    const handler = createLambdaHandler(logging, { logger: false, sessions });
+    const sessionId = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+    
+    const result = await handler(post(
+      { jsonrpc: '2.0', id: 2, method: 'logging/setLevel', params: { level: 'error' } },
+      { 'Mcp-Session-Id': sessionId }
+    ));
+    expect(result.statusCode).to.equal(200);
+    expect((await sessions.get(sessionId)).logLevel).to.equal('error');
+    expect(await sessions.update('unknown', { logLevel: 'info' })).to.be.undefined;
+  });
+  
+  it('should expire sessions after their TTL', async function() {
+    const store = new InMemorySessionStore({ ttlSeconds: 0 });
+    await store.set('s1', { id: 's1' });
+    expect(await store.get('s1')).to.be.undefined;
+  });
+  
+  it('should renew the expiry of sessions in use', async function() {
+    const handler = createLambdaHandler(server, { logger: false, sessions: { ttlSeconds: 60 } });
+    const listTools = (sessionId) => handler(post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId }));
+    const start = Date.now();
+    const realNow = Date.now;
+    
+    try {
+      const sessionId = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+      
+      Date.now = () => start + 45 * 1000;
+      expect((await listTools(sessionId)).statusCode).to.equal(200);
+      
+      Date.now = () => start + 90 * 1000;
+      expect((await listTools(sessionId)).statusCode).to.equal(200);
+      
+      Date.now = () => start + 151 * 1000;
+      expect((await listTools(sessionId)).statusCode).to.equal(404);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+  
+  it('should drop the queued messages of sessions found expired', async function() {
+    const store = new InMemorySessionStore({ ttlSeconds: 0 });
+    await store.set('s1', { id: 's1' });
+    await store.enqueue('s1', { jsonrpc: '2.0', method: 'notifications/message' });
+    
+    expect(await store.get('s1')).to.be.undefined;
+    expect(store.queues.size).to.equal(0);
+  });
+  
+  it('should drop expired sessions from the session list', async function() {
+    const memory = new InMemorySessionStore({ ttlSeconds: 0 });
+    await memory.set('s1', { id: 's1' });
+    await memory.enqueue('s1', { jsonrpc: '2.0', method: 'notifications/message' });
+    expect(await memory.list()).to.deep.equal([]);
+    expect(memory.sessions.size).to.equal(0);
+    expect(memory.queues.size).to.equal(0);
+    
+    const data = new Map();
+    const client = {
+      get: async (key) => data.get(key),
+      set: async (key, value) => data.set(key, value),
+      delete: async (key) => data.delete(key)
+    };
+    const shortLived = new KeyValueSessionStore(client, { ttlSeconds: 0 });
+    const longLived = new KeyValueSessionStore(client, { ttlSeconds: 600 });
+    for (const id of ['s1', 's2', 's3', 's4']) {
+      await shortLived.set(id, { id });
+    }
+    await longLived.set('s5', { id: 's5' });
+    
+    // Writing the index drops the entries that expired before it
+    expect(JSON.parse(data.get('mcp-session:index')).map((entry) => entry.id)).to.deep.equal(['s5']);
+    
+    await shortLived.set('s6', { id: 's6' });
+    expect(await longLived.list()).to.deep.equal(['s5']);
+    expect(JSON.parse(data.get('mcp-session:index')).map((entry) => entry.id)).to.deep.equal(['s5']);
+  });
+  
+  it('should persist sessions through a generic key-value client', async function() {
+    const data = new Map();
+    const calls = [];
+    const client = {
+      get: async (key) => data.get(key),
+      set: async (key, value, options) => {
+        calls.push(options);
+        data.set(key, value);
+      },
+      delete: async (key) => data.delete(key)
+    };
+    
+    // Two handlers sharing one table behave like two Lambda execution environments
+    const store = new KeyValueSessionStore(client, { ttlSeconds: 600 });
+    const first = createLambdaHandler(server, { logger: false, sessions: { store } });
+    const second = createLambdaHandler(server, { logger: false, sessions: { store: new KeyValueSessionStore(client) } });
+    
+    const initResult = await first(post(initialize));
+    const sessionId = initResult.headers['Mcp-Session-Id'];
+    expect(data.has(`mcp-session:${sessionId}`)).to.be.true;
+    expect(calls[0]).to.deep.equal({ ttlSeconds: 600 });
+    
+    const call = await second(post(
+      { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'whoami' } },
+      { 'Mcp-Session-Id': sessionId }
+    ));
+    expect(JSON.parse(call.body).result.content[0].text).to.equal(`${sessionId} 2024-11-05`);
+    
+    expect(() => new KeyValueSessionStore({})).to.throw('get, set and delete');
+  });
+  
+  it('should keep messages enqueued while a key-value queue is drained', async function() {
+    const data = new Map();
+    let whileReading = null;
+    const client = {
+      get: async (key) => {
+        const value = data.get(key);
+        if (whileReading && key.endsWith(':queue')) {
+          const enqueue = whileReading;
+          whileReading = null;
+          await enqueue();
+        }
+        return value;
+      },
+      set: async (key, value) => data.set(key, value),
+      delete: async (key) => data.delete(key)
+    };
+    const message = (data) => ({ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data } });
+    
+    // A second store enqueues from another execution environment mid-drain
+    const store = new KeyValueSessionStore(client);
+    const other = new KeyValueSessionStore(client);
+    await store.set('s1', { id: 's1' });
+    await store.enqueue('s1', message('first'));
+    whileReading = () => other.enqueue('s1', message('second'));
+    
+    expect(await store.drain('s1')).to.deep.equal([message('first')]);
+    expect(await store.drain('s1')).to.deep.equal([message('second')]);
+    expect(await store.drain('s1')).to.deep.equal([]);
+    
+    await store.enqueue('s1', message('third'));
+    expect(JSON.parse(data.get('mcp-session:s1:queue'))).to.have.length(1);
+    expect(await store.drain('s1')).to.deep.equal([message('third')]);
+    
+    await store.delete('s1');
+    expect([...data.keys()].filter((key) => key.startsWith('mcp-session:s1'))).to.deep.equal([]);
+  });
+  
+  it('should terminate sessions with DELETE and run close hooks', async function() {
+    const closed = [];
+    server
+      .onSessionClose(async (session) => { closed.push(session.id); })
+      .onSessionClose(async () => { throw new Error('cleanup failed'); });
+    
+    const handler = createLambdaHandler(server, { logger: false, sessions: true });
+    const sessionId = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+    
+    const deleted = await handler({ httpMethod: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+    expect(deleted.statusCode).to.equal(200);
+    expect(closed).to.deep.equal([sessionId]);
+    
+    const after = await handler(post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }, { 'Mcp-Session-Id': sessionId }));
+    expect(after.statusCode).to.equal(404);
+    
+    const again = await handler({ httpMethod: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+    expect(again.statusCode).to.equal(404);
+    expect(closed).to.have.length(1);
+  });
+  
+  it('should reject DELETE in stateless mode', async function() {
+    const result = await createLambdaHandler(server, { logger: false })({ httpMethod: 'DELETE', headers: {} });
+    expect(result.statusCode).to.equal(405);
+  });
+  
+  describe('GET event stream', function() {
+    let sessions;
+    let handler;
+    let sessionId;
+    
+    beforeEach(async function() {
+      server.tool('ping_later', {}, async (args, { enqueueMessage }) => {
+        await enqueueMessage({ jsonrpc: '2.0', id: 'srv-1', method: 'ping' });
+        return { content: [{ type: 'text', text: 'queued' }] };
+      });
+      sessions = new SessionManager();
+      handler = createLambdaHandler(server, {
+        logger: false,
+        sessions,
+        sse: { heartbeatIntervalMs: 20, pollIntervalMs: 5, maxDurationMs: 60 }
+      });
+      sessionId = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+    });
+    
+    it('should return queued messages in a buffered response', async function() {
+      await sessions.enqueue(sessionId, { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'hi' } });
+      
+      const result = await handler(get({ 'Mcp-Session-Id': sessionId }));
+      expect(result.statusCode).to.equal(200);
+      expect(result.headers['Content-Type']).to.equal('text/event-stream');
+      expect(parseEvents(result.body)).to.deep.equal([
+        { jsonrpc: '2.0', method: 'notifications/message', params: { level: 'info', data: 'hi' } }
+      ]);
+      
+      const empty = await handler(get({ 'Mcp-Session-Id': sessionId }));
+      expect(parseEvents(empty.body)).to.deep.equal([]);
+    });
+    
+    it('should let handlers queue messages for their session', async function() {
+      await handler(post(
+        { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'ping_later' } },
+        { 'Mcp-Session-Id': sessionId }
+      ));
+      
+      const result = await handler(get({ 'Mcp-Session-Id': sessionId }));
+      expect(parseEvents(result.body)).to.deep.equal([{ jsonrpc: '2.0', id: 'srv-1', method: 'ping' }]);
+    });
+    
+    it('should stream messages and heartbeats until the maximum duration', async function() {
+      const written = [];
+      let ended = false;
+      globalThis.awslambda = {
+        streamifyResponse: (fn) => fn,
+        HttpResponseStream: { from: (stream) => stream }
+      };
+      try {
+        const streamingHandler = createLambdaHandler(server, {
+          logger: false,
+          sessions,
+          streaming: true,
+          sse: { heartbeatIntervalMs: 20, pollIntervalMs: 5, maxDurationMs: 80 }
+        });
+        setTimeout(() => sessions.broadcast({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }), 10);
+        
+        const started = Date.now();
+        await streamingHandler(
+          get({ 'Mcp-Session-Id': sessionId }),
+          { write: (chunk) => written.push(chunk), end: () => { ended = true; } },
+          { getRemainingTimeInMillis: () => 60000 }
+        );
+        expect(Date.now() - started).to.be.at.least(70);
+      } finally {
+        delete globalThis.awslambda;
+      }
+      
+      expect(ended).to.be.true;
+      expect(parseEvents(written.join(''))).to.deep.equal([
+        { jsonrpc: '2.0', method: 'notifications/tools/list_changed' }
+      ]);
+      expect(written.some((chunk) => chunk.startsWith(': heartbeat'))).to.be.true;
+    });
+    
+    it('should require text/event-stream and a valid session', async function() {
+      const notAcceptable = await handler({ httpMethod: 'GET', headers: { 'Mcp-Session-Id': sessionId } });
+      expect(notAcceptable.statusCode).to.equal(406);
+      
+      const missing = await handler(get());
+      expect(missing.statusCode).to.equal(400);
+      
+      const unknown = await handler(get({ 'Mcp-Session-Id': 'nope' }));
+      expect(unknown.statusCode).to.equal(404);
+    });
+  });
+  
+  it('should notify every session when a list changes', async function() {
+    server.tool('toggle', {}, async () => {
+      server.disableTool('whoami');
+      return { content: [] };
+    });
+    const handler = createLambdaHandler(server, { logger: false, sessions: true });
+    const first = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+    const second = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+    
+    await handler(post(
+      { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'toggle', arguments: {} } },
+      { 'Mcp-Session-Id': first }
+    ));
+    
+    for (const sessionId of [first, second]) {
+      const result = await handler(get({ 'Mcp-Session-Id': sessionId }));
+      expect(parseEvents(result.body)).to.deep.equal([
+        { jsonrpc: '2.0', method: 'notifications/tools/list_changed' }
+      ]);
+    }
+  });
+  
+  describe('Resource subscriptions', function() {
+    let handler;
+    let sessions;
+    
+    const call = (sessionId, method, params) => handler(post(
+      { jsonrpc: '2.0', id: 2, method, params },
+      { 'Mcp-Session-Id': sessionId }
+    )).then((result) => JSON.parse(result.body));
+    
+    beforeEach(function() {
+      server
+        .resource('dashboard', 'dashboards://sales', async (uri) => ({ contents: [{ uri, text: '{}' }] }))
+        .resource('report', new ResourceTemplate('reports://{id}'), async (uri) => ({ contents: [{ uri, text: '' }] }));
+      sessions = new SessionManager();
+      handler = createLambdaHandler(server, { logger: false, sessions });
+    });
+    
+    it('should advertise subscriptions in session mode only', async function() {
+      const initResult = JSON.parse((await handler(post(initialize))).body);
+      expect(initResult.result.capabilities.resources).to.deep.equal({ listChanged: true, subscribe: true });
+      
+      const stateless = JSON.parse((await createLambdaHandler(server, { logger: false })(post(initialize))).body);
+      expect(stateless.result.capabilities.resources).to.deep.equal({ listChanged: true });
+      
+      const rejected = JSON.parse((await createLambdaHandler(server, { logger: false })(post(
+        { jsonrpc: '2.0', id: 2, method: 'resources/subscribe', params: { uri: 'dashboards://sales' } }
+      ))).body);
+      expect(rejected.error.code).to.equal(-32600);
+    });
+    
+    it('should notify subscribed sessions when a resource is updated', async function() {
+      const subscriber = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+      const bystander = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+      
+      expect((await call(subscriber, 'resources/subscribe', { uri: 'dashboards://sales' })).result).to.deep.equal({});
+      await call(subscriber, 'resources/subscribe', { uri: 'reports://q3' });
+      expect((await sessions.get(subscriber)).subscriptions).to.deep.equal(['dashboards://sales', 'reports://q3']);
+      
+      server.notifyResourceUpdated('dashboards://sales');
+      await sessions.notifyResourceUpdated('reports://q3');
+      
+      const stream = await handler(get({ 'Mcp-Session-Id': subscriber }));
+      expect(parseEvents(stream.body)).to.deep.equal([
+        { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: 'dashboards://sales' } },
+        { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: 'reports://q3' } }
+      ]);
+      expect(parseEvents((await handler(get({ 'Mcp-Session-Id': bystander }))).body)).to.deep.equal([]);
+      
+      await call(subscriber, 'resources/unsubscribe', { uri: 'dashboards://sales' });
+      await sessions.notifyResourceUpdated('dashboards://sales');
+      expect(parseEvents((await handler(get({ 'Mcp-Session-Id': subscriber }))).body)).to.deep.equal([]);
+    });
+    
+    it('should keep every subscription made in one batch', async function() {
+      const batchInitialize = { ...initialize, params: { ...initialize.params, protocolVersion: '2025-03-26' } };
+      const sessionId = (await handler(post(batchInitialize))).headers['Mcp-Session-Id'];
+      
+      await handler(post([
+        { jsonrpc: '2.0', id: 2, method: 'resources/subscribe', params: { uri: 'dashboards://sales' } },
+        { jsonrpc: '2.0', id: 3, method: 'resources/subscribe', params: { uri: 'reports://q3' } }
+      ], { 'Mcp-Session-Id': sessionId }));
+      
+      await sessions.notifyResourceUpdated('dashboards://sales');
+      await sessions.notifyResourceUpdated('reports://q3');
+      
+      const stream = await handler(get({ 'Mcp-Session-Id': sessionId }));
+      expect(parseEvents(stream.body).map((message) => message.params.uri)).to.deep.equal([
+        'dashboards://sales',
+        'reports://q3'
+      ]);
+    });
+    
+    it('should reject subscriptions to unknown resources', async function() {
+      const sessionId = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+      
+      const unknown = await call(sessionId, 'resources/subscribe', { uri: 'dashboards://missing' });
+      expect(unknown.error.code).to.equal(-32002);
+      
+      const missing = await call(sessionId, 'resources/subscribe', {});
+      expect(missing.error.code).to.equal(-32602);
+    });
+  });
+  
+  describe('Resumable streams', function() {
+    const progressCall = {
+      jsonrpc: '2.0',
+      id: 2,
+      method: 'tools/call',
+      params: { name: 'report', arguments: {}, _meta: { progressToken: 'tok' } }
+    };
+    const sse = { Accept: 'application/json, text/event-stream' };
+    
+    beforeEach(function() {
+      server.tool('report', {}, async (args, { reportProgress }) => {
+        await reportProgress(1, 2);
+        await reportProgress(2, 2);
+        return { content: [{ type: 'text', text: 'done' }] };
+      });
+      server.tool('ping', {}, async (args, { enqueueMessage }) => {
+        await enqueueMessage({ jsonrpc: '2.0', id: 'srv-1', method: 'ping' });
+        return { content: [] };
+      });
+    });
+    
+    it('should give every event an ID and replay the events after Last-Event-ID', async function() {
+      const handler = createLambdaHandler(server, { logger: false, eventStore: new InMemoryEventStore() });
+      
+      const result = await handler(post(progressCall, sse));
+      const ids = parseEventIds(result.body);
+      expect(ids).to.have.length(3);
+      expect(new Set(ids).size).to.equal(3);
+      
+      const resumed = await handler(get({ 'Last-Event-ID': ids[0] }));
+      expect(resumed.statusCode).to.equal(200);
+      expect(parseEventIds(resumed.body)).to.deep.equal(ids.slice(1));
+      const events = parseEvents(resumed.body);
+      expect(events[0].params.progress).to.equal(2);
+      expect(events[1].result.content[0].text).to.equal('done');
+    });
+    
+    it('should replay missed events before new messages of a session', async function() {
+      const handler = createLambdaHandler(server, { logger: false, sessions: true, eventStore: new InMemoryEventStore() });
+      const sessionId = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+      
+      const result = await handler(post(progressCall, { ...sse, 'Mcp-Session-Id': sessionId }));
+      const [firstId] = parseEventIds(result.body);
+      
+      await handler(post({ jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'ping', arguments: {} } }, { 'Mcp-Session-Id': sessionId }));
+      
+      const resumed = await handler(get({ 'Mcp-Session-Id': sessionId, 'Last-Event-ID': firstId }));
+      const events = parseEvents(resumed.body);
+      expect(events).to.have.length(3);
+      expect(events[1].id).to.equal(2);
+      expect(events[2]).to.deep.equal({ jsonrpc: '2.0', id: 'srv-1', method: 'ping' });
+      
+      // Messages sent on the GET stream can be resumed as well
+      const [pingId] = parseEventIds(resumed.body).slice(-1);
+      const again = await handler(get({ 'Mcp-Session-Id': sessionId, 'Last-Event-ID': pingId }));
+      expect(parseEvents(again.body)).to.deep.equal([]);
+    });
+    
+    it('should not replay the streams of another session', async function() {
+      const handler = createLambdaHandler(server, { logger: false, sessions: true, eventStore: new InMemoryEventStore() });
+      const first = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+      const second = (await handler(post(initialize))).headers['Mcp-Session-Id'];
+      
+      const result = await handler(post(progressCall, { ...sse, 'Mcp-Session-Id': first }));
+      const [eventId] = parseEventIds(result.body);
+      
+      const resumed = await handler(get({ 'Mcp-Session-Id': second, 'Last-Event-ID': eventId }));
+      expect(resumed.statusCode).to.equal(400);
+    });
+    
+    it('should require an event store and Last-Event-ID for GET in stateless mode', async function() {
+      const withoutStore = await createLambdaHandler(server, { logger: false })(get({ 'Last-Event-ID': 'abc_0' }));
+      expect(withoutStore.statusCode).to.equal(405);
+      
+      const withoutHeader = await createLambdaHandler(server, { logger: false, eventStore: new InMemoryEventStore() })(get());
+      expect(withoutHeader.statusCode).to.equal(405);
+    });
+    
+    it('should persist events through a generic key-value client', async function() {
+      const data = new Map();
+      const store = new KeyValueEventStore({
+        get: async (key) => data.get(key),
+        set: async (key, value) => { data.set(key, value); }
+      });
+      
+      const first = await store.storeEvent('stream', { n: 1 });
+      await store.storeEvent('stream', { n: 2 });
+      expect(typeof data.get('mcp-events:stream')).to.equal('string');
+      expect(await store.replayEventsAfter(first)).to.deep.equal([
+        { eventId: 'stream_1', message: { n: 2 } }
+      ]);
+      expect(await store.replayEventsAfter('unknown')).to.deep.equal([]);
+      expect(() => new KeyValueEventStore({})).to.throw('get and set');
+    });
+  });
+  
+  it('should stay stateless without the sessions option', async function() {
+    const handler = createLambdaHandler(server, { logger: false });
+    const initResult = await handler(post(initialize));
+    expect(initResult.headers).to.not.have.property('Mcp-Session-Id');
+    
+    const list = await handler(post({ jsonrpc: '2.0', id: 2, method: 'tools/list' }));
+    expect(list.statusCode).to.equal(200);
+  });
+});